@@ -1,12 +1,126 @@
-// Minimal, loud-logging service worker
-console.log("[BG] service worker starting v1.0.0");
-
-const credsByTab = new Map();
-let rawHrefPerTab = new Map();
-// Track origin failures: store a timestamp until which we won't arm tabs for that origin.
-const failUntilByOrigin = new Map();
-// Cooldown window for origin failures (should match content script). 10 minutes.
-const SUBMIT_COOLDOWN_MS = 10 * 60 * 1000;
+// Service worker. Logging goes through Log (log.js): leveled, redacted, and buffered for the debug bundle.
+importScripts("log.js", "colonlink.js", "totp.js", "vault.js");
+Log.info("service worker starting v" + chrome.runtime.getManifest().version);
+
+// A Map mirrored into chrome.storage.session so it survives the service worker being suspended.
+// Session storage stays in memory (never on disk), is cleared on browser restart and is not
+// readable by content scripts. Values must be JSON-serialisable; await `ready` before reading.
+// State that has to outlive the browser session passes chrome.storage.local as the area instead.
+class SessionMap extends Map {
+  constructor(key, area = chrome.storage.session) {
+    super();
+    this.key = key;
+    this.area = area;
+    this.ready = area.get(key).then(r => {
+      // Entries written before rehydration finished are newer; keep them.
+      for (const [k, v] of r?.[key] || []) if (!this.has(k)) super.set(k, v);
+    });
+  }
+  set(k, v) {
+    super.set(k, v);
+    this.save();
+    return this;
+  }
+  delete(k) {
+    const had = super.delete(k);
+    if (had) this.save();
+    return had;
+  }
+  // Writes wait for rehydration so an early write can't clobber the stored entries.
+  save() {
+    this.ready
+      .then(() => this.area.set({ [this.key]: [...this] }))
+      .catch(e => Log.warn("session save failed", this.key, e));
+  }
+}
+
+const credsByTab = new SessionMap("credsByTab");
+// Last payload of tabs disarmed while still open, so the popup can show why and offer re-arming.
+const disarmedByTab = new SessionMap("disarmedByTab");
+const rawHrefPerTab = new SessionMap("rawHrefPerTab");
+// Frame that holds the login form of an armed tab: { frameId, stage, withPass } where stage is the
+// stage it claimed at and withPass whether it showed a password field. Only that frame gets creds; the others probe and claim when the fields show up there.
+const loginFrameByTab = new SessionMap("loginFrameByTab");
+// Origins cooling down after a detected login failure: { until, reason, at }. Nothing is armed for
+// them until then. Kept in storage.local so a browser restart does not reset the lockout protection.
+const cooldownByOrigin = new SessionMap("cooldowns", chrome.storage.local);
+// Fresh-session opens waiting for confirmation, keyed by the id in the confirm.html URL:
+// { parsed, opts, tabCount, site, tabId }. Keyed before the tab exists, so the page can never ask
+// ahead of its entry; tabId is filled in once it does.
+const pendingFresh = new SessionMap("pendingFresh");
+// Stages only move forward within one arming; re-arm and mode toggles reset to "init" directly.
+// "passSubmitted" is only used by accounts with a TOTP secret, while the one-time code is pending.
+// "signedIn" follows the last fill: the tab stays armed for POST_LOGIN_MS so the interstitial steps
+// can answer "Stay signed in?" and "Continue" pages, then it is disarmed.
+const STAGES = ["init", "userSubmitted", "passSubmitted", "signedIn"];
+const POST_LOGIN_MS = 30 * 1000;
+// Settings persisted in chrome.storage.local under "settings"; defaults apply until it loads.
+const DEFAULT_SETTINGS = {
+  // Extra origins allowed to receive creds armed for an origin, e.g.
+  // { "https://app.example.com": ["https://sso.example.com"] }.
+  relatedOrigins: {},
+  // Disarm the tab when its top-level page on a foreign origin asks for its creds. Embedded frames
+  // (ads, captchas, consent banners) are refused but never disarm it.
+  disarmOnOriginMismatch: false,
+  // Arming lifetime: disarm after this many minutes, after this many top-level page loads, and
+  // (optionally) as soon as the tab navigates to a site other than the target's or a related origin's.
+  armMaxAgeMinutes: 10,
+  armMaxLoads: 5,
+  disarmOnNavigateAway: true,
+  // Cooldown after a detected login failure, in minutes, and per-origin overrides
+  // ({ "https://app.example.com": 30 }); 0 turns the cooldown off for that origin.
+  cooldownMinutes: 10,
+  cooldownMinutesByOrigin: {},
+  // Per-locale login-failure term overrides, { en: [...], de: [...] }; see failureterms.js.
+  failureTerms: {},
+  // Origins whose pages get colon-links in their text turned into armed links (linkify.js).
+  linkifyOrigins: [],
+  // Lock the vault after this many minutes without user input (Chrome's minimum is 15 seconds).
+  vaultIdleLockMinutes: 15,
+  // Environment rewrites for colon-link hosts: [{ env, from, to }]. from is a hostname, or a
+  // /regex/ tested against host[:port]; to replaces the hostname (or the regex match) and may carry
+  // a port. Links go through the defaultEnv rules (if any) before opening; "Open colon-link on…"
+  // in the context menu picks an environment explicitly.
+  rewriteRules: [],
+  defaultEnv: "",
+  // "auto" fills login fields as soon as they are found; "suggest" shows a badge on the field and
+  // fills on click or the fill-login shortcut. A site profile's fill setting overrides it.
+  fillMode: "auto",
+  // Console and debug-bundle verbosity: "off", "info", "debug" or "trace"; see log.js.
+  logLevel: "info"
+};
+let settings = { ...DEFAULT_SETTINGS };
+
+function applySettings(stored) {
+  settings = { ...DEFAULT_SETTINGS, ...(stored || {}) };
+  chrome.idle.setDetectionInterval(Math.max(15, Math.round(settings.vaultIdleLockMinutes * 60)));
+}
+// Per-origin login profiles edited on the options page:
+// { [origin]: { user, pass, submit, fields, mode, autoSubmit, inject, fill, flow, interstitials } },
+// fields = { name: selector }; flow = login steps as described in flows.js.
+let profiles = {};
+
+const settingsReady = chrome.storage.local.get(["settings", "profiles"]).then(r => {
+  applySettings(r?.settings);
+  profiles = r?.profiles || {};
+});
+// Resolves once the maps above and the settings are loaded; every event handler waits for it.
+const stateReady = Promise.all([settingsReady, ...[credsByTab, disarmedByTab, rawHrefPerTab, loginFrameByTab, cooldownByOrigin, pendingFresh].map(m => m.ready)]);
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local") return;
+  if (changes.settings) {
+    applySettings(changes.settings.newValue);
+    if (JSON.stringify(changes.settings.oldValue?.rewriteRules) !== JSON.stringify(changes.settings.newValue?.rewriteRules)) ensureMenus();
+  }
+  if (changes.profiles) profiles = changes.profiles.newValue || {};
+});
+
+// Lock the vault when the machine goes idle or the screen locks.
+chrome.idle.onStateChanged.addListener(state => {
+  if (state === "active") return;
+  Vault.lock().then(() => Log.info("vault locked:", state));
+});
+
 // Helper to derive origin from a URL string.
 function originOf(urlStr) {
   try {
@@ -16,94 +130,276 @@ function originOf(urlStr) {
   }
 }
 
-function parseColonLink(raw) {
-  if (!raw) return null;
-  const s = raw.trim();
+function armTab(tabId, payload) {
+  disarmedByTab.delete(tabId);
+  loginFrameByTab.delete(tabId);
+  credsByTab.set(tabId, { ...payload, armedAt: Date.now(), loads: 0 });
+  Log.info("armed tab", tabId, payload);
+  updateBadge(tabId);
+}
 
-  // prefer full href if we captured it
-  let href = s;
+// Toolbar badge for a tab: "1" armed single-step, "2" armed two-step, empty when not armed.
+function updateBadge(tabId) {
+  const c = credsByTab.get(tabId);
+  const text = c ? (c.mode?.twoStep ? "2" : "1") : "";
+  const title = c ? `Armed for ${c.origin} (${c.mode?.twoStep ? "two-step" : "single-step"})` : "Armed tabs";
+  chrome.action.setBadgeText({ tabId, text }, () => void chrome.runtime.lastError);
+  chrome.action.setTitle({ tabId, title }, () => void chrome.runtime.lastError);
+}
 
-  // If this came from selection, it might be plain `host:user:pass`
-  // Find last two colons
-  const last = href.lastIndexOf(":");
-  const prev = href.lastIndexOf(":", last - 1);
-  if (last <= 0 || prev <= 0) return null;
+// Creds armed for payload.origin only go to frames on that origin or one of its related origins.
+function originAllowed(payload, origin) {
+  if (!origin || !payload?.origin) return false;
+  if (origin === payload.origin) return true;
+  const related = settings.relatedOrigins?.[payload.origin] || [];
+  return related.includes(origin);
+}
 
-  let base = href.slice(0, prev).trim();
-  let u = href.slice(prev + 1, last).trim();
-  let p = href.slice(last + 1).trim();
+// Whether a top-level page on origin still belongs to the armed login: same site as the target or
+// as one of its related origins. Sign-in often hops between subdomains (www -> login -> app).
+function siteAllowed(payload, origin) {
+  if (originAllowed(payload, origin)) return true;
+  const siteOfOrigin = o => { try { return siteOf(new URL(o).hostname); } catch { return ""; } };
+  const site = siteOfOrigin(origin);
+  const related = settings.relatedOrigins?.[payload.origin] || [];
+  return !!site && [payload.origin, ...related].some(o => siteOfOrigin(o) === site);
+}
 
-  // ignore bare schemes (avoid "http/" navigations)
-  if (/^https?$/i.test(base)) return null;
+// Origin of the frame that sent a message; sender.origin is missing on older Chrome.
+function senderOrigin(sender) {
+  return sender?.origin && sender.origin !== "null" ? sender.origin : originOf(sender?.url || "");
+}
 
-  if (!/^https?:\/\//i.test(base)) base = "https://" + base;
+function disarmTab(tabId, reason) {
+  const payload = credsByTab.get(tabId);
+  loginFrameByTab.delete(tabId);
+  if (credsByTab.delete(tabId)) {
+    disarmedByTab.set(tabId, { payload, reason: reason || "", at: Date.now() });
+    Log.info("disarmed tab", tabId, reason || "");
+    updateBadge(tabId);
+  }
+}
 
-  try { u = decodeURIComponent(u); } catch {}
-  try { p = decodeURIComponent(p); } catch {}
+// Why an armed payload has outlived the arming lifetime policy, or "" while still valid.
+function expiryReason(c) {
+  if (Date.now() - (c.armedAt || 0) > settings.armMaxAgeMinutes * 60 * 1000) return "expired";
+  if ((c.loads || 0) > settings.armMaxLoads) return "too-many-loads";
+  if (c.stage === "signedIn" && Date.now() - (c.signedInAt || 0) > POST_LOGIN_MS) return "filled";
+  return "";
+}
 
-  try {
-    const url = new URL(base);
-    return { url: url.toString(), u, p };
-  } catch (e) {
-    return null;
+function sweepExpired() {
+  for (const [tabId, c] of credsByTab) {
+    const reason = expiryReason(c);
+    if (reason) disarmTab(tabId, reason);
   }
+  for (const origin of [...cooldownByOrigin.keys()]) activeCooldown(origin);
 }
 
-function armTab(tabId, payload) {
-  credsByTab.set(tabId, payload);
-  console.log("[BG] armed tab", tabId, payload);
+// ===== Cooldowns =====
+function cooldownMs(origin) {
+  return (settings.cooldownMinutesByOrigin?.[origin] ?? settings.cooldownMinutes) * 60 * 1000;
 }
 
-function disarmTab(tabId, reason) {
-  if (credsByTab.delete(tabId)) {
-    console.log("[BG] disarmed tab", tabId, reason || "");
+function startCooldown(origin, reason) {
+  const ms = cooldownMs(origin);
+  if (!(ms > 0)) return;
+  cooldownByOrigin.set(origin, { until: Date.now() + ms, reason, at: Date.now() });
+  Log.warn("origin cooled down:", origin, "for", ms / 60000, "min -", reason);
+}
+
+// The cooldown entry of origin while it lasts; expired entries are dropped on the way.
+function activeCooldown(origin) {
+  const e = cooldownByOrigin.get(origin);
+  if (!e) return null;
+  if (Date.now() < e.until) return e;
+  cooldownByOrigin.delete(origin);
+  return null;
+}
+
+const cooldownError = (origin, e) => new Error(`${origin} is cooling down until ${new Date(e.until).toLocaleTimeString()} (${e.reason})`);
+
+// Count a top-level page load of an armed tab and apply the lifetime policy to it.
+function onArmedTabLoading(tabId, url) {
+  const c = credsByTab.get(tabId);
+  if (!c) return;
+  c.loads = (c.loads || 0) + 1;
+  // The first load after a login submit gets checked for a failure message.
+  if (c.submittedAt){
+    c.checkFailure = true;
+    delete c.submittedAt;
+  }
+  credsByTab.set(tabId, c);
+  // A top-level load replaces every frame; the new documents claim again.
+  loginFrameByTab.delete(tabId);
+  const origin = originOf(url || "");
+  if (settings.disarmOnNavigateAway && /^https?:/.test(origin) && !siteAllowed(c, origin)) {
+    disarmTab(tabId, "navigated-away");
+    return;
   }
+  const reason = expiryReason(c);
+  if (reason) disarmTab(tabId, reason);
+  else updateBadge(tabId);
+}
+
+// Re-arm a disarmed tab from the start and have its content script request creds again.
+function rearmTab(tabId) {
+  const last = disarmedByTab.get(tabId);
+  if (!last) throw new Error("nothing to re-arm");
+  const cooling = activeCooldown(last.payload.origin);
+  if (cooling) throw cooldownError(last.payload.origin, cooling);
+  armTab(tabId, { ...last.payload, stage: "init" });
+  restartContent(tabId);
+}
+
+// The fill logic is only injected into armed tabs, and there only into frames whose origin may
+// receive the creds. Injecting into a frame that already has it restarts its flow instead.
+const FILL_SCRIPTS = ["log.js", "failureterms.js", "flows.js", "content.js"];
+
+function injectFill(tabId, frameId) {
+  chrome.scripting.executeScript({ target: { tabId, frameIds: [frameId] }, files: FILL_SCRIPTS })
+    .catch(e => Log.warn("inject failed in tab", tabId, "frame", frameId, e?.message || e));
+}
+
+function onFrameReady(tabId, frameId, url) {
+  const c = credsByTab.get(tabId);
+  if (!c) return;
+  const origin = originOf(url || "");
+  if (!/^https?:/.test(origin)) return;
+  if (!originAllowed(c, origin)) {
+    Log.warn("not injecting into", origin, "frame", frameId, "armed for", c.origin);
+    if (settings.disarmOnOriginMismatch && frameId === 0) disarmTab(tabId, "origin-mismatch");
+    return;
+  }
+  injectFill(tabId, frameId);
+}
+
+// Make sure a frame has the fill logic so the DevTools panel can ask it, without restarting a
+// flow that is already running. Frames an armed tab may not send creds to are left alone.
+async function ensureFill(tabId, frameId, origin) {
+  const c = credsByTab.get(tabId);
+  if (c && !originAllowed(c, origin)) return false;
+  const target = { tabId, frameIds: [frameId] };
+  const [probe] = await chrome.scripting.executeScript({ target, func: () => !!globalThis.__cllaRestart }).catch(() => []);
+  if (!probe) return false;
+  if (!probe.result) await chrome.scripting.executeScript({ target, files: FILL_SCRIPTS }).catch(() => {});
+  return true;
+}
+
+async function restartContent(tabId) {
+  const c = credsByTab.get(tabId);
+  if (!c) {
+    chrome.tabs.sendMessage(tabId, { type: "restart" }, () => void chrome.runtime.lastError);
+    return;
+  }
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }).catch(() => null);
+  for (const f of frames || []) {
+    if (originAllowed(c, originOf(f.url))) injectFill(tabId, f.frameId);
+  }
+}
+
+// Armed and recently disarmed tabs for the popup; passwords are never included.
+async function listArmed() {
+  const rows = [];
+  const add = async (tabId, payload, armed, reason) => {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) return;
+    rows.push({
+      tabId,
+      title: tab.title || tab.url || "",
+      origin: payload?.origin || "",
+      u: payload?.u || "",
+      twoStep: !!payload?.mode?.twoStep,
+      otp: !!payload?.otp,
+      stage: payload?.stage || "",
+      armed,
+      reason
+    });
+  };
+  for (const [tabId, payload] of credsByTab) await add(tabId, payload, true, "");
+  for (const [tabId, last] of disarmedByTab) await add(tabId, last.payload, false, last.reason);
+  return rows;
 }
 
 function ensureMenus() {
-  const ids = [
-    "cl-open",
-    "cl-open-2step",
-    "cl-open-incog",
-    "cl-open-incog-2step"
-  ];
-  ids.forEach(id => chrome.contextMenus.remove(id, () => void chrome.runtime.lastError));
+  chrome.contextMenus.removeAll(() => {
+    const ctx = ["all"]; // always visible for debugging
+    chrome.contextMenus.create({ id: "cl-open", title: "Open colon-link (armed)", contexts: ctx });
+    chrome.contextMenus.create({ id: "cl-open-2step", title: "Open colon-link (armed, two-step)", contexts: ctx });
+    chrome.contextMenus.create({ id: "cl-open-incog", title: "Open colon-link (armed in incognito)", contexts: ctx });
+    chrome.contextMenus.create({ id: "cl-open-incog-2step", title: "Open colon-link (armed in incognito, two-step)", contexts: ctx });
+    chrome.contextMenus.create({ id: "cl-open-fresh", title: "Open colon-link (armed, fresh session)", contexts: ctx });
+    chrome.contextMenus.create({ id: "cl-open-fresh-2step", title: "Open colon-link (armed, fresh session, two-step)", contexts: ctx });
 
-  const ctx = ["all"]; // always visible for debugging
-  chrome.contextMenus.create({ id: "cl-open", title: "Open colon-link (armed)", contexts: ctx });
-  chrome.contextMenus.create({ id: "cl-open-2step", title: "Open colon-link (armed, two-step)", contexts: ctx });
-  chrome.contextMenus.create({ id: "cl-open-incog", title: "Open colon-link (armed in incognito)", contexts: ctx });
-  chrome.contextMenus.create({ id: "cl-open-incog-2step", title: "Open colon-link (armed in incognito, two-step)", contexts: ctx });
+    const envs = rewriteEnvs();
+    if (envs.length) {
+      chrome.contextMenus.create({ id: "cl-open-on", title: "Open colon-link on…", contexts: ctx });
+      for (const env of envs) chrome.contextMenus.create({ id: "cl-on:" + env, parentId: "cl-open-on", title: env, contexts: ctx });
+    }
+    Log.debug("context menus registered");
+  });
+}
 
-  console.log("[BG] context menus registered");
+// Show only the environments whose rules match the link just right-clicked, with the target host.
+// Best effort: the menu may already be open by the time the raw href arrives.
+function updateEnvMenus(raw) {
+  const parsed = ColonLink.parse(raw);
+  for (const env of rewriteEnvs()) {
+    const target = parsed && rewriteTarget(parsed, env);
+    const update = target ? { visible: true, title: `${env} (${new URL(target.url).host})` } : { visible: !parsed, title: env };
+    chrome.contextMenus.update("cl-on:" + env, update, () => void chrome.runtime.lastError);
+  }
 }
 
+// The environment submenu comes from the rewrite rules, so build the menus once settings are in.
 chrome.runtime.onInstalled.addListener(() => {
-  console.log("[BG] onInstalled");
-  ensureMenus();
+  Log.debug("onInstalled");
+  settingsReady.then(ensureMenus);
 });
 chrome.runtime.onStartup.addListener(() => {
-  console.log("[BG] onStartup");
-  ensureMenus();
+  Log.debug("onStartup");
+  settingsReady.then(ensureMenus);
+  // Session storage is already empty after a browser restart; this also drops an in-memory key.
+  Vault.lock();
 });
 
 chrome.contextMenus.onClicked.addListener((info, tab) => {
+  stateReady.then(() => onMenuClicked(info, tab));
+});
+
+function onMenuClicked(info, tab) {
   const tabId = tab?.id;
   const cached = rawHrefPerTab.get(tabId);
   if (cached) rawHrefPerTab.delete(tabId);
 
   const raw = cached || info.selectionText || info.linkUrl || "";
-  console.log("[BG] context click raw=", raw);
+  if (String(info.menuItemId).startsWith("cl-on:")) {
+    const env = info.menuItemId.slice("cl-on:".length);
+    const parsed = ColonLink.parse(raw);
+    const target = parsed && rewriteTarget(parsed, env);
+    if (!target) { Log.warn("no", env, "rule matches this colon link"); return; }
+    openArmed(target);
+    return;
+  }
+  const parsed = parseTarget(raw);
+  if (!parsed) { Log.warn("not a colon link"); return; }
+  Log.debug("context click", info.menuItemId, "for", parsed.origin);
 
-  const parsed = parseColonLink(raw);
-  if (!parsed) { console.warn("[BG] not a colon link"); return; }
+  const twoStep = info.menuItemId.endsWith("-2step");
+  const incog = info.menuItemId.startsWith("cl-open-incog");
+  const fresh = info.menuItemId.startsWith("cl-open-fresh");
+  openArmed(parsed, { twoStep, incog, fresh });
+}
 
+// Open a parsed colon-link ({ url, origin, u, p }) in a new tab or incognito window and arm it.
+// Every open path (context menu, vault, ...) goes through here.
+function openArmed(parsed, { twoStep = false, incog = false, fresh = false } = {}) {
   // Respect origin cooldown: if the origin is still cooling down, open the URL but do not arm.
   const origin = originOf(parsed.url);
-  const until = failUntilByOrigin.get(origin) || 0;
-  if (Date.now() < until) {
-    console.warn("[BG] origin cooldown active; opening without arming:", origin);
-    if (info.menuItemId === "cl-open-incog" || info.menuItemId === "cl-open-incog-2step") {
+  const cooling = activeCooldown(origin);
+  if (cooling) {
+    Log.warn("origin cooldown active; opening without arming:", origin, "-", cooling.reason);
+    if (incog) {
       // open incognito window without arming
       chrome.windows.create({ url: parsed.url, incognito: true });
     } else {
@@ -113,61 +409,546 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
     return;
   }
 
-  const twoStep = (info.menuItemId === "cl-open-2step" || info.menuItemId === "cl-open-incog-2step");
-  const incog = (info.menuItemId === "cl-open-incog" || info.menuItemId === "cl-open-incog-2step");
+  // Incognito windows start without site data anyway.
+  if (fresh && !incog) {
+    openFresh(parsed, { twoStep }).catch(e => Log.warn("fresh-session open failed", e.message));
+    return;
+  }
 
-  const openAndArm = (createOpts) => {
-    chrome.tabs.create(createOpts, newTab => {
-      if (!newTab) return;
-      armTab(newTab.id, { u: parsed.u, p: parsed.p, mode: { twoStep }, stage: "init" });
-    });
-  };
+  const payload = () => ({ origin: parsed.origin, u: parsed.u, p: parsed.p, otp: parsed.otp || "", extra: parsed.extra || {}, mode: { twoStep }, stage: "init" });
 
   if (incog) {
     chrome.windows.create({ url: parsed.url, incognito: true }, win => {
       const newTab = win?.tabs?.[0];
-      if (newTab?.id) armTab(newTab.id, { u: parsed.u, p: parsed.p, mode: { twoStep }, stage: "init" });
+      if (newTab?.id) armTab(newTab.id, payload());
     });
   } else {
-    openAndArm({ url: parsed.url, active: true });
+    chrome.tabs.create({ url: parsed.url, active: true }, newTab => {
+      if (!newTab) return;
+      armTab(newTab.id, payload());
+    });
   }
-});
+}
+
+// ===== Fresh session =====
+// Site data removed before a fresh-session open; the origins filter keeps other sites untouched.
+const FRESH_DATA_TYPES = {
+  cookies: true, localStorage: true, indexedDB: true, cacheStorage: true,
+  serviceWorkers: true, cache: true, fileSystems: true, webSQL: true
+};
+
+// Approximate registrable domain of a host ("sso.example.co.uk" -> "example.co.uk"). Cookies are
+// cleared for the whole registrable domain, so sibling subdomains lose their session too. Without
+// the public suffix list this can only err towards a larger site, which just means asking more often.
+function siteOf(host) {
+  if (/^[\d.]+$|^\[|^localhost$/.test(host)) return host;
+  const labels = host.split(".");
+  const short = labels.length > 2 && labels.at(-1).length === 2 && /^(ac|co|com|edu|gov|net|org)$/.test(labels.at(-2));
+  return labels.slice(short ? -3 : -2).join(".");
+}
+
+async function tabsOnSite(site) {
+  const tabs = await chrome.tabs.query({});
+  return tabs.filter(t => /^https?:/.test(t.url || "") && siteOf(new URL(t.url).hostname) === site);
+}
+
+// Clear the target origin's site data, then open and arm. Asks first (confirm.html) when tabs of
+// that site are open, since they lose their session too.
+async function openFresh(parsed, opts) {
+  // A cooling origin opens unarmed anyway; leave its site data alone.
+  if (activeCooldown(parsed.origin)) return openArmed(parsed, { ...opts, fresh: false });
+  const site = siteOf(new URL(parsed.url).hostname);
+  const open = await tabsOnSite(site);
+  if (!open.length) return clearAndOpen(parsed, opts);
+  const id = crypto.randomUUID();
+  pendingFresh.set(id, { parsed, opts, tabCount: open.length, site });
+  const tab = await chrome.tabs.create({ url: chrome.runtime.getURL(`confirm.html?id=${id}`), active: true });
+  const pending = pendingFresh.get(id);
+  if (pending) pendingFresh.set(id, { ...pending, tabId: tab.id });
+}
+
+async function clearAndOpen(parsed, opts) {
+  // A cooldown may have started while the confirm page was up.
+  if (activeCooldown(parsed.origin)) return openArmed(parsed, { ...opts, fresh: false });
+  await chrome.browsingData.remove({ origins: [parsed.origin] }, FRESH_DATA_TYPES);
+  Log.info("cleared site data for", parsed.origin);
+  openArmed(parsed, { ...opts, fresh: false });
+}
+
+// ===== Environment rewrites =====
+function rewriteEnvs() {
+  return [...new Set((settings.rewriteRules || []).map(r => r.env).filter(Boolean))];
+}
+
+// Apply the first rule of env that matches; null when none does.
+function rewriteTarget(parsed, env) {
+  const url = new URL(parsed.url);
+  for (const rule of settings.rewriteRules || []) {
+    if (rule.env !== env) continue;
+    const re = /^\/(.*)\/([a-z]*)$/.exec(rule.from);
+    let host;
+    try {
+      if (re) {
+        const rx = new RegExp(re[1], re[2]);
+        if (rx.test(url.host)) host = url.host.replace(rx, rule.to);
+      } else if (url.host === rule.from.toLowerCase()) {
+        host = rule.to;
+      } else if (url.hostname === rule.from.toLowerCase()) {
+        // A literal hostname rule keeps the link's port unless the replacement names one.
+        host = /:\d+$/.test(rule.to) || !url.port ? rule.to : `${rule.to}:${url.port}`;
+      }
+      if (!host) continue;
+      const out = new URL(url);
+      out.host = host;
+      return { ...parsed, url: out.toString(), origin: out.origin };
+    } catch (e) {
+      Log.warn("bad rewrite rule", rule.from, "->", rule.to, e.message);
+    }
+  }
+  return null;
+}
+
+// Parse a colon-link and send it through the default environment's rules, if one is set.
+function parseTarget(raw) {
+  const parsed = ColonLink.parse(raw);
+  if (!parsed || !settings.defaultEnv) return parsed;
+  return rewriteTarget(parsed, settings.defaultEnv) || parsed;
+}
+
+// Turn a saved vault account into the same shape ColonLink.parse returns, against its default URL
+// or the base URL of one of its environments.
+function accountTarget(a, env) {
+  const base = env ? a.envs?.[env] : a.url || Object.values(a.envs || {})[0];
+  if (!base) throw new Error(`account has no ${env ? env + " " : ""}URL`);
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(base) ? base : "https://" + base);
+  } catch {
+    throw new Error("invalid account URL: " + base);
+  }
+  return { url: url.toString(), origin: url.origin, u: a.u, p: a.p, otp: a.otp || "" };
+}
+
+function isExtensionPage(sender) {
+  return sender?.id === chrome.runtime.id && (sender.url || "").startsWith(chrome.runtime.getURL(""));
+}
+
+// Requests accepted only from extension pages (options, popup); content scripts never reach these.
+// Each handler may return a value or a promise; the reply is { ok, result } or { ok:false, error }.
+const pageHandlers = {
+  vaultStatus: () => Vault.status(),
+  vaultCreate: msg => Vault.create(msg.passphrase),
+  vaultUnlock: msg => Vault.unlock(msg.passphrase),
+  vaultLock: () => Vault.lock(),
+  vaultList: () => Vault.list(),
+  vaultSave: msg => Vault.save(msg.account || {}),
+  vaultRemove: msg => Vault.remove(msg.id),
+  vaultExport: () => Vault.exportAll(),
+  vaultImport: msg => Vault.importAll(msg.accounts),
+  listArmed: () => listArmed(),
+  disarm: msg => {
+    disarmTab(msg.tabId, "popup");
+    restartContent(msg.tabId);
+  },
+  rearm: msg => rearmTab(msg.tabId),
+  focusTab: async msg => {
+    const tab = await chrome.tabs.update(msg.tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  },
+  // Everything needed for a bug report; secrets are redacted and passwords are never in listArmed.
+  debugBundle: async () => ({
+    version: chrome.runtime.getManifest().version,
+    createdAt: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    settings: Log.redact(settings),
+    profiles,
+    tabs: await listArmed(),
+    events: await Log.getEvents()
+  }),
+  clearLog: () => Log.clear(),
+  listCooldowns: () => [...cooldownByOrigin.keys()]
+    .map(origin => ({ origin, ...activeCooldown(origin) }))
+    .filter(e => e.until),
+  // Without an origin, clears every cooldown.
+  clearCooldown: msg => {
+    for (const origin of msg.origin ? [msg.origin] : [...cooldownByOrigin.keys()]) cooldownByOrigin.delete(origin);
+  },
+  // confirm.html asks what it is confirming, then answers; either way the pending open is dropped.
+  freshPending: msg => {
+    const pending = pendingFresh.get(msg.id);
+    if (!pending) throw new Error("nothing to confirm");
+    return { origin: pending.parsed.origin, site: pending.site, u: pending.parsed.u, tabCount: pending.tabCount, twoStep: !!pending.opts.twoStep };
+  },
+  freshConfirm: async (msg, sender) => {
+    const pending = pendingFresh.get(msg.id);
+    if (!pending) throw new Error("nothing to confirm");
+    pendingFresh.delete(msg.id);
+    if (msg.ok) await clearAndOpen(pending.parsed, pending.opts);
+    if (sender.tab?.id) chrome.tabs.remove(sender.tab.id).catch(() => {});
+  },
+  // DevTools panel: field-detection report per frame of the inspected tab.
+  devtoolsExplain: async msg => {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId: msg.tabId }) || [];
+    const out = [];
+    for (const f of frames) {
+      const origin = originOf(f.url);
+      if (!/^https?:/.test(origin) || !(await ensureFill(msg.tabId, f.frameId, origin))) continue;
+      const report = await chrome.tabs.sendMessage(msg.tabId, { type: "explain", profile: profiles[origin] || null }, { frameId: f.frameId }).catch(() => null);
+      if (report) out.push({ frameId: f.frameId, url: f.url, ...report });
+    }
+    return out;
+  },
+  devtoolsHighlight: msg => {
+    chrome.tabs.sendMessage(msg.tabId, { type: "highlight", on: !!msg.on }, () => void chrome.runtime.lastError);
+  },
+  vaultOpen: async msg => {
+    const a = await Vault.get(msg.id);
+    if (!a) throw new Error("no such account");
+    openArmed(accountTarget(a, msg.env), { twoStep: !!msg.twoStep, incog: !!msg.incog, fresh: !!msg.fresh });
+  }
+};
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  const tabId = sender?.tab?.id;
-  if (msg?.type === "storeRawHref" && tabId) {
+  if (pageHandlers[msg?.type] && isExtensionPage(sender)) {
+    stateReady
+      .then(() => pageHandlers[msg.type](msg, sender))
+      .then(result => sendResponse({ ok: true, result }))
+      .catch(e => sendResponse({ ok: false, error: e.message }));
+    return true;
+  }
+  if (!sender?.tab?.id) return;
+  stateReady.then(() => handleContentMessage(msg, sender, sendResponse));
+  // Keep the channel open for the messages answered asynchronously.
+  return ["requestCreds", "claimLoginFrame", "requestOtp"].includes(msg?.type);
+});
+
+// Creds as handed to the login frame. The TOTP secret never leaves the background; the page asks
+// for a code with requestOtp.
+// Once signed in only the interstitials run: no password, and the deadline for the follow-up pages.
+function credsReply(c, origin) {
+  const { otp, ...creds } = c;
+  const profile = profiles[origin] || null;
+  const after = c.stage === "signedIn";
+  if (after) creds.p = "";
+  return {
+    creds: { ...creds, hasOtp: !after && !!otp }, profile, failureTerms: settings.failureTerms,
+    fillMode: profile?.fill || settings.fillMode, finishBy: after ? (c.signedInAt || 0) + POST_LOGIN_MS : 0
+  };
+}
+
+// Two-step as the frame's site profile forces it, else as the link was opened.
+function effectiveTwoStep(c, origin) {
+  const mode = profiles[origin]?.mode;
+  return mode ? mode === "twoStep" : !!c.mode?.twoStep;
+}
+
+function isLoginFrame(tabId, sender) {
+  return loginFrameByTab.get(tabId)?.frameId === (sender.frameId || 0);
+}
+
+function handleContentMessage(msg, sender, sendResponse) {
+  const tabId = sender.tab.id;
+  if (msg?.type === "logEvent") {
+    Log.record({ ...Log.redact(msg.entry || {}), tab: tabId, frame: sender.frameId || 0 });
+    return;
+  }
+  Log.trace("content message", msg?.type, "tab", tabId, "frame", sender.frameId || 0);
+  if (msg?.type === "storeRawHref") {
     rawHrefPerTab.set(tabId, msg.href || "");
+    updateEnvMenus(msg.href || "");
     return;
   }
-  if (msg?.type === "requestCreds" && tabId) {
-    const creds = credsByTab.get(tabId) || null;
-    sendResponse({ creds });
-    return true;
+  if (msg?.type === "openColonLink") {
+    // Clicked in linkified text; only honoured from opted-in sites, and parsed again here.
+    const from = senderOrigin(sender);
+    const parsed = parseTarget(msg.raw);
+    if (!settings.linkifyOrigins.includes(from) || !parsed) {
+      Log.warn("ignoring openColonLink from", from);
+      return;
+    }
+    openArmed(parsed, { twoStep: !!msg.twoStep, incog: !!msg.incog, fresh: !!msg.fresh });
+    return;
+  }
+  const c = credsByTab.get(tabId);
+  const origin = senderOrigin(sender);
+  if (msg?.type === "requestCreds" || msg?.type === "claimLoginFrame") {
+    const expired = c && expiryReason(c);
+    if (expired) {
+      disarmTab(tabId, expired);
+      sendResponse({ creds: null });
+      return;
+    }
+    // A failure in another tab may have started a cooldown since this one was armed.
+    if (c && activeCooldown(c.origin)) {
+      disarmTab(tabId, "cooldown");
+      sendResponse({ creds: null });
+      return;
+    }
+    if (c && !originAllowed(c, origin)) {
+      Log.warn("refused creds to", origin, "frame", sender.frameId, "armed for", c.origin);
+      if (settings.disarmOnOriginMismatch && !sender.frameId) disarmTab(tabId, "origin-mismatch");
+      sendResponse({ creds: null });
+      return;
+    }
+    if (!c) { sendResponse({ creds: null }); return; }
+    if (msg.type === "requestCreds") {
+      // The top frame of the first load after a login submit checks the new page for a failure.
+      const checkFailure = !sender.frameId && !!c.checkFailure;
+      if (checkFailure) {
+        delete c.checkFailure;
+        credsByTab.set(tabId, c);
+      }
+      if (isLoginFrame(tabId, sender)) sendResponse({ ...credsReply(c, origin), checkFailure });
+      else sendResponse({ probe: { stage: c.stage, twoStep: effectiveTwoStep(c, origin), extra: Object.keys(c.extra || {}) }, profile: profiles[origin] || null, failureTerms: settings.failureTerms, checkFailure });
+      return;
+    }
+    // claimLoginFrame: the first frame with the needed fields wins. Another frame takes over once the
+    // login has moved on a stage since the current holder claimed (username here, password there),
+    // or when it shows a password field and the holder did not (a search box is no login form).
+    const held = loginFrameByTab.get(tabId);
+    const frameId = sender.frameId || 0;
+    const withPass = !!msg.withPass;
+    if (held && held.frameId !== frameId && held.stage === c.stage && (held.withPass || !withPass)) {
+      sendResponse({ creds: null });
+      return;
+    }
+    if (held && held.frameId !== frameId) {
+      // Stop the previous holder; it goes back to probing.
+      chrome.tabs.sendMessage(tabId, { type: "restart" }, { frameId: held.frameId }, () => void chrome.runtime.lastError);
+    }
+    loginFrameByTab.set(tabId, { frameId, stage: c.stage, withPass });
+    Log.info("login frame for tab", tabId, "is", frameId, "at stage", c.stage);
+    sendResponse(credsReply(c, origin));
+    return;
+  }
+  if (msg?.type === "markOriginFailure") {
+    // When the content script detects a login failure, cool the armed origin down. The creds are
+    // usually cleared just before this arrives, so it is accepted from any frame of the tab.
+    const failedOrigin = (c || disarmedByTab.get(tabId)?.payload)?.origin || originOf(sender?.tab?.url || "");
+    if (failedOrigin) startCooldown(failedOrigin, msg.reason || "login failure");
+    return;
+  }
+  if (msg?.type === "probeTimeout") {
+    if (c && !sender.frameId && !loginFrameByTab.has(tabId)) disarmTab(tabId, "content-timeout");
+    return;
   }
-  if (msg?.type === "updateStage" && tabId) {
-    const c = credsByTab.get(tabId);
-    if (c) { c.stage = msg.stage; credsByTab.set(tabId, c); }
+  // Everything below acts on the armed creds and is only accepted from the login frame.
+  if (!c || !originAllowed(c, origin) || !isLoginFrame(tabId, sender)) {
+    if (msg?.type === "requestOtp") sendResponse({ code: null });
     return;
   }
-  if (msg?.type === "clearCreds" && tabId) { disarmTab(tabId, "content-clear"); return; }
-  if (msg?.type === "markOriginFailure" && tabId) {
-    // When the content script detects a login failure, mark the origin as cooled down.
-    const url = sender?.tab?.url || "";
-    const origin = originOf(url);
-    if (origin) {
-      failUntilByOrigin.set(origin, Date.now() + SUBMIT_COOLDOWN_MS);
-      console.warn("[BG] origin cooled down:", origin);
+  if (msg?.type === "updateStage") {
+    if (STAGES.indexOf(msg.stage) < STAGES.indexOf(c.stage)) {
+      Log.warn("ignoring stage", msg.stage, "after", c.stage, "for tab", tabId);
+      return;
     }
+    if (msg.stage === "signedIn" && c.stage !== "signedIn") c.signedInAt = Date.now();
+    c.stage = msg.stage;
+    credsByTab.set(tabId, c);
+    return;
+  }
+  if (msg?.type === "loginSubmitted") {
+    c.submittedAt = Date.now();
+    credsByTab.set(tabId, c);
+    return;
+  }
+  if (msg?.type === "clearCreds") {
+    disarmTab(tabId, msg.reason || "content-clear");
+    return;
+  }
+  if (msg?.type === "armTimeout") {
+    // The login frame gave up waiting for its form.
+    disarmTab(tabId, "content-timeout");
+    return;
+  }
+  if (msg?.type === "injectMainWorld") {
+    // Set a custom element's value through its own setter, which only the page's world can see.
+    chrome.scripting.executeScript({
+      target: { tabId, frameIds: [sender.frameId || 0] },
+      world: "MAIN",
+      args: [msg.mark, msg.value],
+      func: (mark, value) => {
+        const find = root => {
+          const hit = root.querySelector(`[data-clla-inject="${mark}"]`);
+          if (hit) return hit;
+          for (const el of root.querySelectorAll("*")) {
+            const found = el.shadowRoot && find(el.shadowRoot);
+            if (found) return found;
+          }
+          return null;
+        };
+        const el = find(document);
+        if (!el) return;
+        el.removeAttribute("data-clla-inject");
+        el.value = value;
+        el.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+        el.dispatchEvent(new Event("change", { bubbles: true, composed: true }));
+      }
+    }).catch(e => Log.warn("main-world injection failed", e.message));
+    return;
+  }
+  if (msg?.type === "requestOtp") {
+    if (!c.otp) { sendResponse({ code: null }); return; }
+    Totp.code(c.otp)
+      .then(code => sendResponse({ code }))
+      .catch(e => {
+        Log.warn("TOTP failed for tab", tabId, e.message);
+        sendResponse({ code: null });
+      });
     return;
   }
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  stateReady.then(() => {
+    disarmTab(tabId, "tab-closed");
+    disarmedByTab.delete(tabId);
+    loginFrameByTab.delete(tabId);
+    rawHrefPerTab.delete(tabId);
+    for (const [id, pending] of pendingFresh) if (pending.tabId === tabId) pendingFresh.delete(id);
+  });
+});
+chrome.tabs.onUpdated.addListener((tabId, info, tab) => {
+  if (info.status === "loading") {
+    Log.debug("tab loading", tabId);
+    stateReady.then(() => onArmedTabLoading(tabId, info.url || tab?.url));
+  }
+  if (info.status === "complete") Log.debug("tab complete", tabId);
 });
 
-chrome.tabs.onRemoved.addListener((tabId) => disarmTab(tabId, "tab-closed"));
-chrome.tabs.onUpdated.addListener((tabId, info) => {
-  if (info.status === "loading") console.log("[BG] tab loading", tabId);
-  if (info.status === "complete") console.log("[BG] tab complete", tabId);
+// Single-page apps move between login steps with history.pushState; no load, no DOMContentLoaded.
+// Tell the frame so its flow re-checks the page right away.
+chrome.webNavigation.onHistoryStateUpdated.addListener(d => {
+  stateReady.then(() => {
+    const c = credsByTab.get(d.tabId);
+    if (!c || !originAllowed(c, originOf(d.url))) return;
+    Log.debug("history state updated in tab", d.tabId, "frame", d.frameId);
+    chrome.tabs.sendMessage(d.tabId, { type: "navigated" }, { frameId: d.frameId }, () => void chrome.runtime.lastError);
+  });
 });
 
-chrome.commands.onCommand.addListener(cmd => {
-  console.log("[BG] command:", cmd);
+// Opted-in sites get the linkifier in every frame of their origin, armed or not.
+function maybeLinkify(tabId, frameId, url) {
+  if (!settings.linkifyOrigins.includes(originOf(url || ""))) return;
+  chrome.scripting.executeScript({ target: { tabId, frameIds: [frameId] }, files: ["log.js", "linkify.js"] })
+    .catch(e => Log.warn("linkify inject failed in tab", tabId, e?.message || e));
+}
+
+chrome.webNavigation.onDOMContentLoaded.addListener(d => {
+  stateReady.then(() => {
+    maybeLinkify(d.tabId, d.frameId, d.url);
+    onFrameReady(d.tabId, d.frameId, d.url);
+  });
+});
+
+// Periodic sweep so expired armings go away even when the tab sits idle.
+chrome.alarms.create("arm-expiry", { periodInMinutes: 1 });
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === "arm-expiry") stateReady.then(sweepExpired);
+});
+
+// Ask the content scripts of a tab for the selected text or hovered link; any frame may answer.
+function colonLinkCandidate(tabId) {
+  return new Promise(resolve => {
+    chrome.tabs.sendMessage(tabId, { type: "getColonLinkCandidate" }, res => {
+      void chrome.runtime.lastError;
+      resolve(res?.raw || "");
+    });
+  });
+}
+
+async function openCandidateIncognito(tab) {
+  const raw = await colonLinkCandidate(tab.id);
+  const parsed = parseTarget(raw);
+  if (!parsed) { Log.warn("no colon link selected or hovered in tab", tab.id); return; }
+  openArmed(parsed, { incog: true });
+}
+
+function toggleTwoStep(tab) {
+  const c = credsByTab.get(tab.id);
+  if (!c) { Log.warn("toggle-two-step: tab not armed", tab.id); return; }
+  c.mode = { ...c.mode, twoStep: !c.mode?.twoStep };
+  c.stage = "init";
+  credsByTab.set(tab.id, c);
+  loginFrameByTab.delete(tab.id);
+  Log.info("two-step", c.mode.twoStep ? "on" : "off", "for tab", tab.id);
+  updateBadge(tab.id);
+  restartContent(tab.id);
+}
+
+// ===== Omnibox: "cl <colon-link>" or "cl <account search>" =====
+// Suggestion content is "<mode> <target>", where target is the typed colon-link or "account:<id>".
+const OMNIBOX_MODES = {
+  open: { label: "open armed", opts: {} },
+  "2step": { label: "open armed, two-step", opts: { twoStep: true } },
+  incog: { label: "open armed in incognito", opts: { incog: true } },
+  fresh: { label: "open armed in a fresh session", opts: { fresh: true } }
+};
+const xmlEscape = s => String(s).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+
+async function omniboxAccounts(query) {
+  const q = query.trim().toLowerCase();
+  if (!q || !(await Vault.status()).unlocked) return [];
+  const host = a => { try { return new URL(accountTarget(a).url).host; } catch { return a.url; } };
+  return (await Vault.list()).filter(a => [a.label, host(a), a.u, ...a.tags].some(v => (v || "").toLowerCase().includes(q)));
+}
+
+chrome.omnibox.setDefaultSuggestion({ description: "Open a colon-link armed: host:user:pass, or search saved accounts" });
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  stateReady.then(async () => {
+    const out = [];
+    const parsed = parseTarget(text);
+    if (parsed) {
+      // The password never shows up in the suggestion text.
+      for (const [mode, { label }] of Object.entries(OMNIBOX_MODES)) {
+        out.push({ content: `${mode} ${text.trim()}`, description: `<url>${xmlEscape(parsed.origin)}</url> as <match>${xmlEscape(parsed.u)}</match> <dim>- ${label}</dim>` });
+      }
+    }
+    for (const a of (await omniboxAccounts(text)).slice(0, 5)) {
+      out.push({ content: `open account:${a.id}`, description: `<match>${xmlEscape(a.label || a.url)}</match> ${xmlEscape(a.u)} <dim>- saved account${a.hasOtp ? ", TOTP" : ""}</dim>` });
+    }
+    suggest(out);
+  }).catch(e => Log.warn("omnibox suggest failed", e.message));
+});
+
+chrome.omnibox.onInputEntered.addListener(text => {
+  stateReady.then(async () => {
+    const m = /^(open|2step|incog|fresh) (.*)$/s.exec(text.trim());
+    const { opts } = OMNIBOX_MODES[m?.[1] || "open"];
+    const target = m ? m[2] : text.trim();
+    let parsed;
+    if (target.startsWith("account:")) {
+      const a = await Vault.get(target.slice("account:".length));
+      parsed = a && accountTarget(a);
+    } else {
+      parsed = parseTarget(target);
+      // A search that matches exactly one saved account opens it directly.
+      const matches = parsed ? [] : await omniboxAccounts(target);
+      if (matches.length === 1) parsed = accountTarget(await Vault.get(matches[0].id));
+    }
+    if (!parsed) {
+      Log.warn("omnibox input is not a colon-link or saved account");
+      return;
+    }
+    openArmed(parsed, opts);
+  }).catch(e => Log.warn("omnibox open failed", e.message));
+});
+
+// Suggest mode: fill the armed login now. Goes to the login frame, or to every frame before one claimed.
+function fillLogin(tab) {
+  if (!credsByTab.has(tab.id)) { Log.warn("fill-login: tab not armed", tab.id); return; }
+  const held = loginFrameByTab.get(tab.id);
+  const options = held ? { frameId: held.frameId } : {};
+  chrome.tabs.sendMessage(tab.id, { type: "fillNow" }, options, () => void chrome.runtime.lastError);
+}
+
+chrome.commands.onCommand.addListener((cmd, tab) => {
+  Log.debug("command:", cmd);
+  if (!tab?.id) return;
+  stateReady.then(() => {
+    if (cmd === "open-armed-incognito") openCandidateIncognito(tab);
+    if (cmd === "toggle-two-step") toggleTwoStep(tab);
+    if (cmd === "fill-login") fillLogin(tab);
+  });
 });
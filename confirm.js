@@ -0,0 +1,19 @@
+// Confirmation for a fresh-session open while tabs of the target site are still open.
+// Which pending open this page confirms; set by background.js in the page URL.
+const pendingId = new URLSearchParams(location.search).get("id") || "";
+
+function answer(ok) {
+  $("ok-btn").disabled = $("cancel-btn").disabled = true;
+  call("freshConfirm", { id: pendingId, ok }).catch(e => { $("msg").textContent = e.message; });
+}
+
+call("freshPending", { id: pendingId }).then(p => {
+  const tabs = p.tabCount === 1 ? "1 open tab" : `${p.tabCount} open tabs`;
+  $("what").textContent = `Opening ${p.origin} as ${p.u}${p.twoStep ? " (two-step)" : ""} clears that site's cookies, ` +
+    `storage and cache first. ${tabs} on ${p.site} and its subdomains will be signed out as well.`;
+}, e => {
+  $("msg").textContent = e.message;
+  $("ok-btn").disabled = true;
+});
+$("ok-btn").onclick = () => answer(true);
+$("cancel-btn").onclick = () => answer(false);
@@ -1,35 +1,47 @@
-// Content script for colon-link autofill with anti-loop and two-step support
+// Fill logic for colon-link autofill with anti-loop and two-step support. Not a declared content
+// script: background.js injects it (after failureterms.js) into the frames of armed tabs only.
 (() => {
-  console.log("[CS] injected on", location.href);
+  if (globalThis.__cllaRestart){ globalThis.__cllaRestart(); return; }
+  Log.debug("injected on", location.origin + location.pathname);
 
-  const SCAN_MS = 800;
+  // Scans run on DOM changes, debounced, plus a slow fallback tick for changes no observer sees
+  // (late shadow roots, async OTP replies). Each scan stops when done or at its deadline.
+  const SCAN_DEBOUNCE_MS = 150;
+  const SCAN_FALLBACK_MS = 2000;
+  const NORMAL_TIMEOUT_MS = 5 * 60 * 1000;
+  const TWO_STEP_TIMEOUT_MS = 10 * 60 * 1000;
+  const PROBE_TIMEOUT_MS = 5 * 60 * 1000;
   // ===== Anti-loop config =====
   // Set to true if you want the script to automatically click the submit button.
   const AUTO_SUBMIT_DEFAULT = false;
   // Maximum number of times we will auto-click submit per tab.
   const MAX_SUBMITS_PER_TAB = 1;
-  // After a detected failure, the script will not attempt any auto actions for this many milliseconds.
-  const SUBMIT_COOLDOWN_MS  = 10 * 60 * 1000;
-  // Common phrases that indicate a login failure on the page (multi-lingual).
-  const FAILURE_TERMS = [
-    "invalid", "incorrect", "try again", "failed", "mismatch", "not match",
-    "unauthorized", "forbidden", "access denied", "locked", "captcha",
-    "too many", "limit", "banned",
-    "無効", "エラー", "错误", "失敗", "fehlgeschlagen", "неверный", "ошибка", "gagal"
-  ];
+  // How long after a submit we watch the form (or the page it led to) for signs of a failed login.
+  const FAILURE_WATCH_MS = 10000;
 
   // Track the current credentials and state for this tab.
-  let state = { armed:false, u:"", p:"", twoStep:false, stage:"" };
-  // Track anti-loop information: whether auto submit is enabled, how many times we've submitted,
-  // and timeouts to prevent repeated submissions.
+  let state = { armed:false, u:"", p:"", extra:{}, twoStep:false, stage:"", profile:null, hasOtp:false, finishBy:0, failureTerms:null, suggest:false };
+  // Bumped on every (re)start so loops from an earlier run stop themselves.
+  let runId = 0;
+  // Track anti-loop information: whether auto submit is enabled and how many times we've submitted.
   let anti = {
     autoSubmit: AUTO_SUBMIT_DEFAULT,
-    submittedCount: 0,
-    lastSubmitAt: 0,
-    coolDownUntil: 0,
-    lastUrlAfterSubmit: ""
+    submittedCount: 0
   };
 
+  // What happened in this frame, newest last, for the DevTools panel. Bursts of the same kind
+  // (mutations) are folded into one entry with a count.
+  const TIMELINE_MAX = 300;
+  const timeline = [];
+  function mark(kind, detail = ""){
+    const last = timeline[timeline.length - 1];
+    const now = Date.now();
+    if (kind === "mutation" && last?.kind === kind && now - last.t < 1000){ last.count++; last.t = now; return; }
+    timeline.push({ t: now, kind, detail, count: 1 });
+    if (timeline.length > TIMELINE_MAX) timeline.shift();
+    Log.trace(kind, detail);
+  }
+
   // Helpers to normalise strings and check for keywords.
   const norm = s => (s||"").toString().toLowerCase();
   const hasAny = (s, arr) => { const n = norm(s); return arr.some(t => n.includes(t)); };
@@ -37,48 +49,269 @@
   // Keywords used to locate username/email fields and password fields.
   const USER_TERMS = ["user","username","login","email","e-mail","mail","id","correo","benutzer","로그인","メール","邮箱","帳號"];
   const PASS_TERMS = ["pass","password","senha","пароль","סיסמה","密碼","密码","비밀번호","パスワード"];
+  // Extra login fields (tenant=..., domain=... in the link) match their own name plus these synonyms.
+  const EXTRA_TERMS = {
+    tenant: ["tenant","company","organization","organisation","org","customer","firma","mandant"],
+    domain: ["domain","realm","directory","domäne"],
+    workspace: ["workspace","team","space","site"]
+  };
+  const OTP_TERMS = ["otp","one-time","onetime","totp","2fa","mfa","two-factor","verification code","security code","auth code","authenticator","確認コード","验证码","인증 코드","código"];
+
+  // ===== Value injection =====
+  // Strategies, picked per element unless the site profile forces one (profile.inject):
+  //   native   - the prototype value setter plus input/change; React, Vue and Angular all see it.
+  //   keys     - keydown/keypress/beforeinput/input/keyup per character, for pages that only react
+  //              to typing (masks, per-key validation).
+  //   editable - contenteditable fields, via insertText so editors get their usual input events.
+  //   element  - form-associated custom elements: the inner native control when reachable, else the
+  //              element's own value setter, which only exists in the page's world.
+  const INJECTORS = { native: injectNative, keys: injectKeys, editable: injectEditable, element: injectElement };
+
+  function pickInjector(el){
+    const forced = state.profile?.inject;
+    if (forced && INJECTORS[forced]) return forced;
+    if (el.isContentEditable) return "editable";
+    if (el.localName?.includes("-")) return "element";
+    return "native";
+  }
+
+  // The prototype's setter, bypassing any per-instance value property a framework installed.
+  function setNativeValue(el, val){
+    const proto = el instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+      : el instanceof HTMLSelectElement ? HTMLSelectElement.prototype
+      : HTMLInputElement.prototype;
+    const setter = Object.getOwnPropertyDescriptor(proto, "value")?.set;
+    if (setter) setter.call(el, val);
+    else el.value = val;
+  }
+
+  const inputEvent = (type, data) => new InputEvent(type, { inputType:"insertText", data, bubbles:true, cancelable: type === "beforeinput", composed:true });
+
+  function injectNative(el, val){
+    setNativeValue(el, val);
+    el.dispatchEvent(inputEvent("input", val));
+    el.dispatchEvent(new Event("change", { bubbles:true }));
+  }
+
+  function injectKeys(el, val){
+    setNativeValue(el, "");
+    el.dispatchEvent(inputEvent("input", null));
+    for (const ch of val){
+      const key = { key: ch, bubbles:true, cancelable:true, composed:true };
+      el.dispatchEvent(new KeyboardEvent("keydown", key));
+      el.dispatchEvent(new KeyboardEvent("keypress", key));
+      // A cancelled beforeinput means the page rejected this character, as it would for typing.
+      if (el.dispatchEvent(inputEvent("beforeinput", ch))){
+        setNativeValue(el, el.value + ch);
+        el.dispatchEvent(inputEvent("input", ch));
+      }
+      el.dispatchEvent(new KeyboardEvent("keyup", key));
+    }
+    el.dispatchEvent(new Event("change", { bubbles:true }));
+  }
+
+  function injectEditable(el, val){
+    const range = el.ownerDocument.createRange();
+    range.selectNodeContents(el);
+    const sel = el.ownerDocument.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    if (!el.ownerDocument.execCommand("insertText", false, val)){
+      el.textContent = val;
+      el.dispatchEvent(inputEvent("input", val));
+    }
+  }
+
+  function injectElement(el, val){
+    const shadow = el.shadowRoot || chrome.dom?.openOrClosedShadowRoot?.(el);
+    const inner = shadow?.querySelector("input, textarea");
+    if (inner){
+      injectNative(inner, val);
+      return;
+    }
+    // Custom element classes live in the page's world; have the background set the value there.
+    const mark = "clla" + Math.random().toString(36).slice(2);
+    el.setAttribute("data-clla-inject", mark);
+    safeSend({ type:"injectMainWorld", mark, value: val });
+  }
 
-  // Set value into an input element, firing input/change events to notify frameworks.
+  // Set value into a field with the picked strategy. In auto mode, a value the page threw away
+  // (still different on the next frame) is retyped key by key.
   function setVal(el, val){
     try {
       el.focus();
-      el.value = val;
-      el.dispatchEvent(new Event("input", { bubbles:true }));
-      el.dispatchEvent(new Event("change", { bubbles:true }));
+      const how = pickInjector(el);
+      INJECTORS[how](el, val);
       el.blur();
-    } catch {}
+      if (how === "native" && !state.profile?.inject){
+        requestAnimationFrame(()=>{
+          if (el.isConnected && el.value !== val){
+            Log.debug("value did not stick; retyping key by key");
+            el.focus();
+            injectKeys(el, val);
+            el.blur();
+          }
+        });
+      }
+    } catch(e){ Log.warn("value injection failed", e); }
+  }
+
+  // querySelector that treats a bad selector from a site profile as "no match".
+  function queryIn(root, sel){
+    try { return root.querySelector(sel); } catch { return null; }
   }
 
-  // Scan a root for the best username/email and password inputs.
+  // Scan a root for the best username/email and password inputs. Selectors from the site profile
+  // win; a field without a profile selector falls back to keyword scoring.
+  // Also returns extras: the fields for state.extra found in this root, { name: element }. They are
+  // kept out of the user/pass scoring so "login_domain" is not taken for the username.
   function findBestInputs(root=document){
-    const inputs = [...root.querySelectorAll("input")];
+    const prof = state.profile;
+    const extras = findExtraFields(root);
+    const found = findBestInputsByScore(root, new Set(Object.values(extras)));
+    if (prof?.user) found.userBest = queryIn(root, prof.user);
+    if (prof?.pass) found.passBest = queryIn(root, prof.pass);
+    found.extras = extras;
+    return found;
+  }
+
+  function findBestInputsByScore(root, exclude){
+    const inputs = [...root.querySelectorAll("input")].filter(el => !exclude?.has(el));
     let userBest=null, userScore=-1, passBest=null, passScore=-1;
     for (const el of inputs){
+      const { score } = userScoreOf(el);
+      if (score>userScore){ userScore=score; userBest=el; }
+    }
+    for (const el of inputs){
+      const { score } = passScoreOf(el);
+      if (score>passScore){ passScore=score; passBest=el; }
+    }
+    return { userBest, passBest, userScore, passScore };
+  }
+
+  // Scores with the reasons behind them; the DevTools panel shows the parts.
+  const metaOf = el => (el.name||"") + " " + (el.id||"") + " " + (el.placeholder||"") + " " + (el.getAttribute("aria-label")||"");
+
+  function userScoreOf(el){
+    const t = norm(el.type), parts = [];
+    if (!t || t==="text" || t==="email") parts.push(["text-like type", 2]);
+    if (hasAny(metaOf(el), USER_TERMS)) parts.push(["user keyword in name/id/placeholder/label", 6]);
+    const ac = norm(el.autocomplete);
+    if (ac==="username"||ac==="email") parts.push(["autocomplete=" + ac, 6]);
+    if (t==="email") parts.push(["type=email", 3]);
+    return { score: parts.reduce((n, [, v]) => n + v, 0), parts };
+  }
+
+  function passScoreOf(el){
+    const t = norm(el.type), parts = [];
+    if (t==="password") parts.push(["type=password", 8]);
+    if (hasAny(metaOf(el), PASS_TERMS)) parts.push(["password keyword in name/id/placeholder/label", 6]);
+    const ac = norm(el.autocomplete);
+    if (ac.includes("password")) parts.push(["autocomplete=" + ac, 6]);
+    return { score: parts.reduce((n, [, v]) => n + v, 0), parts };
+  }
+
+  // Inputs and selects for the extra fields, by site profile selector (profile.fields) or by score.
+  function findExtraFields(root){
+    const out = {};
+    for (const name of Object.keys(state.extra || {})){
+      const sel = state.profile?.fields?.[name];
+      const el = sel ? queryIn(root, sel) : findExtraByScore(root, name);
+      if (el) out[name] = el;
+    }
+    return out;
+  }
+
+  function findExtraByScore(root, name){
+    const terms = [norm(name), ...(EXTRA_TERMS[norm(name)] || [])];
+    let best=null, bestScore=0;
+    for (const el of root.querySelectorAll("input, select")){
       const t = norm(el.type);
+      if (el.tagName === "INPUT" && t && t!=="text" && t!=="search") continue;
       let s = 0;
-      if (!t || t==="text" || t==="email") s+=2;
-      const meta = (el.name||"") + " " + (el.id||"") + " " + (el.placeholder||"") + " " + (el.getAttribute("aria-label")||"");
-      if (hasAny(meta, USER_TERMS)) s+=6;
-      const ac = norm(el.autocomplete);
-      if (ac==="username"||ac==="email") s+=6;
-      if (t==="email") s+=3;
-      if (s>userScore){ userScore=s; userBest=el; }
+      if (norm(el.name)===terms[0] || norm(el.id)===terms[0]) s+=8;
+      const labels = [...(el.labels || [])].map(l => l.textContent).join(" ");
+      const meta = (el.name||"") + " " + (el.id||"") + " " + (el.placeholder||"") + " " + (el.getAttribute("aria-label")||"") + " " + labels;
+      if (hasAny(meta, terms)) s+=6;
+      if (el.tagName === "SELECT") s+=1;
+      if (s>bestScore){ bestScore=s; best=el; }
     }
-    for (const el of inputs){
+    return bestScore>=6 ? best : null;
+  }
+
+  // Pick the option whose value or text equals the wanted value, else the first that contains it.
+  function setSelect(el, value){
+    const want = norm(value);
+    const opts = [...el.options];
+    const opt = opts.find(o => norm(o.value)===want || norm(o.text).trim()===want)
+      || opts.find(o => norm(o.text).includes(want));
+    if (!opt){ Log.warn("no option for", el.name || el.id, "matches", value); return false; }
+    el.value = opt.value;
+    el.dispatchEvent(new Event("input", { bubbles:true }));
+    el.dispatchEvent(new Event("change", { bubbles:true }));
+    return true;
+  }
+
+  // Extra fields filled in this document; the extras step fills each one only once.
+  const filledExtras = new WeakSet();
+  function fillExtras(extras){
+    for (const [name, el] of Object.entries(extras || {})){
+      const value = state.extra[name];
+      if (el.tagName === "SELECT") setSelect(el, value);
+      else setVal(el, value);
+      filledExtras.add(el);
+      mark("fill", "extra field " + name);
+    }
+  }
+
+  // Extra fields of a root still waiting for their value.
+  function pendingExtras(root){
+    return Object.fromEntries(Object.entries(findExtraFields(root)).filter(([, el]) => visible(el) && !filledExtras.has(el)));
+  }
+
+  // Fill the extra fields on a page of their own (company or workspace before the username).
+  // No submit listeners here: a manual submit of this step must not disarm the tab.
+  function fillExtrasStep(){
+    for (const root of allRoots()){
+      const extras = pendingExtras(root);
+      const first = Object.values(extras)[0];
+      if (!first) continue;
+      fillExtras(extras);
+      const submit = findSubmitNear(first);
+      if (submit && canAutoSubmit()) clickSubmit(submit, first);
+      return true;
+    }
+    return false;
+  }
+
+  // Find the one-time-code input: autocomplete="one-time-code" or OTP keywords in its metadata.
+  function findOtpInput(root=document){
+    let best=null, bestScore=0;
+    for (const el of root.querySelectorAll("input")){
       const t = norm(el.type);
+      if (t && t!=="text" && t!=="tel" && t!=="number" && t!=="password") continue;
       let s = 0;
-      if (t==="password") s+=8;
+      if (norm(el.autocomplete)==="one-time-code") s+=10;
       const meta = (el.name||"") + " " + (el.id||"") + " " + (el.placeholder||"") + " " + (el.getAttribute("aria-label")||"");
-      if (hasAny(meta, PASS_TERMS)) s+=6;
-      const ac = norm(el.autocomplete);
-      if (ac.includes("password")) s+=6;
-      if (s>passScore){ passScore=s; passBest=el; }
+      if (hasAny(meta, OTP_TERMS)) s+=6;
+      if (norm(el.inputMode)==="numeric") s+=1;
+      const ml = Number(el.maxLength);
+      if (ml>=6 && ml<=8) s+=1;
+      if (s>bestScore){ bestScore=s; best=el; }
     }
-    return { userBest, passBest };
+    // Numeric hints alone are not enough to call a field an OTP input.
+    return bestScore>=6 ? best : null;
   }
 
-  // Locate a submit button near the given element.
+  // Locate a submit button near the given element, or the one named by the site profile.
   function findSubmitNear(el){
+    if (state.profile?.submit){
+      for (const root of allRoots()){
+        const btn = queryIn(root, state.profile.submit);
+        if (btn) return btn;
+      }
+      return null;
+    }
     const form = el?.form || el?.closest?.("form");
     if (form){
       const btn = form.querySelector('button[type="submit"], input[type="submit"]');
@@ -94,9 +327,7 @@
 
   // Determine if we can auto-click submit based on anti-loop guards.
   function canAutoSubmit() {
-    const now = Date.now();
     if (!anti.autoSubmit) return false;
-    if (now < anti.coolDownUntil) return false;
     if (anti.submittedCount >= MAX_SUBMITS_PER_TAB) return false;
     return true;
   }
@@ -104,44 +335,144 @@
   // Record that we've auto-clicked submit.
   function recordSubmit() {
     anti.submittedCount += 1;
-    anti.lastSubmitAt = Date.now();
-    anti.lastUrlAfterSubmit = location.href;
   }
 
-  // Start a cool down after failure.
-  function onFailureCoolDown() {
-    anti.coolDownUntil = Date.now() + SUBMIT_COOLDOWN_MS;
+  // Auto-click submit. The failure watch snapshots the form region first, so messages rendered by
+  // the click itself count as changes.
+  function clickSubmit(btn, field) {
+    mark("submit", describe(btn));
+    watchForFailure(field || btn);
+    btn.click();
+    recordSubmit();
   }
 
-  // Detect if the current page shows evidence of a login failure.
-  function pageShowsLikelyFailure() {
-    try {
-      const txt = (document.body.innerText || "").toLowerCase();
-      if (FAILURE_TERMS.some(k => txt.includes(k))) return true;
-    } catch {}
-    // If a password field is present and we are still on the same URL after submit, treat as failure.
-    try {
-      const { passBest } = findBestInputs(document);
-      if (passBest) {
-        if (anti.lastUrlAfterSubmit && anti.lastUrlAfterSubmit === location.href) return true;
+  // ===== Failure detection =====
+  // After a submit (ours or the user's), only what changed near the form counts: new alert/live-region
+  // texts, fields turning aria-invalid, and new error-styled elements. Texts must match a locale's
+  // term pack. Server-rendered failures replace the page, so the background also has the first
+  // frame of the next load check the whole new page.
+  const ALERT_SEL = '[role="alert"],[role="alertdialog"],[aria-live="assertive"],[aria-live="polite"]';
+  const ERROR_STYLE_RE = /error|invalid|danger|fail|alert|warning/i;
+
+  // Term packs for the page language, the browser language and English; user overrides win.
+  function failureTerms(){
+    const overrides = state.failureTerms || {};
+    const locales = new Set(["en", norm(document.documentElement.lang).split("-")[0], norm(navigator.language).split("-")[0]]);
+    const terms = [];
+    for (const loc of locales){
+      if (!loc) continue;
+      terms.push(...(overrides[loc] || FAILURE_TERM_PACKS[loc] || []));
+    }
+    return terms.map(norm).filter(Boolean);
+  }
+
+  // Region around the form: a few levels up so messages rendered next to it are included.
+  function failureScope(el){
+    let n = el?.closest?.("form") || el;
+    const body = el?.ownerDocument?.body || document.body;
+    for (let i=0; i<3 && n?.parentElement && n.parentElement !== body; i++) n = n.parentElement;
+    return n?.isConnected ? n : body;
+  }
+
+  const visible = el => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+  const textOf = el => (el.innerText || el.textContent || "").trim();
+  const isErrorStyled = el => ERROR_STYLE_RE.test((typeof el.className === "string" ? el.className : "") + " " + (el.id||""));
+
+  // Current failure signals in scope: message texts and aria-invalid fields.
+  function snapshotSignals(scope){
+    const texts = new Set(), invalid = new Set();
+    const root = scope.isConnected ? scope : document.body;
+    for (const el of root.querySelectorAll(ALERT_SEL)) { const t = textOf(el); if (t) texts.add(t); }
+    for (const el of root.querySelectorAll("[class],[id]")) {
+      if (isErrorStyled(el) && visible(el)) { const t = textOf(el); if (t && t.length < 300) texts.add(t); }
+    }
+    for (const el of root.querySelectorAll('[aria-invalid="true"]')) invalid.add(el);
+    return { texts, invalid };
+  }
+
+  // Compare against the pre-submit snapshot; returns why this looks like a failure, or "".
+  function detectFailure(scope, before){
+    const now = snapshotSignals(scope);
+    for (const el of now.invalid){
+      if (!before.invalid.has(el)) return "field marked aria-invalid: " + (el.name || el.id || el.tagName.toLowerCase());
+    }
+    const terms = failureTerms();
+    for (const t of now.texts){
+      if (before.texts.has(t)) continue;
+      const hit = terms.find(term => norm(t).includes(term));
+      if (hit) return `new message "${t.slice(0, 120)}" matched "${hit}"`;
+    }
+    return "";
+  }
+
+  // Watch the form region after a submit and cool down the origin if the login failed. With afterLoad,
+  // el is the login form on the page that a submit led to: every signal around it is new.
+  let watchingFailure = false;
+  function watchForFailure(el, afterLoad){
+    if (!afterLoad) safeSend({ type:"loginSubmitted" });
+    if (watchingFailure) return;
+    watchingFailure = true;
+    const scope = failureScope(el);
+    const before = afterLoad ? { texts:new Set(), invalid:new Set() } : snapshotSignals(scope);
+    let done = false;
+    const check = ()=>{
+      if (done) return;
+      const reason = detectFailure(scope, before);
+      mark("failure-check", reason || "no failure signal");
+      if (!reason) return;
+      stop();
+      // The background owns the cooldown: it will not arm this origin again until it is over.
+      state.armed = false;
+      safeSend({ type: 'clearCreds', reason: 'login-failure' });
+      safeSend({ type: 'markOriginFailure', reason });
+      Log.warn("Detected likely login failure → disarming and cooling down:", reason);
+    };
+    const mo = new MutationObserver(check);
+    mo.observe(scope.isConnected ? scope : document.body, { childList:true, subtree:true, characterData:true, attributes:true, attributeFilter:["aria-invalid","class","role","aria-live"] });
+    const timer = setTimeout(()=> stop(), FAILURE_WATCH_MS);
+    function stop(){ done = true; watchingFailure = false; mo.disconnect(); clearTimeout(timer); }
+    if (afterLoad) check();
+  }
+
+  // A page loaded after a submit only counts as a failure when it shows a login field again, which
+  // may render a little after load. Its signals are then read around that field only.
+  function watchFailureAfterLoad(){
+    const loginField = ()=>{
+      for (const r of allRoots()){
+        const f = loginFields(r);
+        const field = (f.hasPass && f.passBest) || (f.hasUser && f.userBest) || findOtpInput(r);
+        if (field) return field;
       }
-    } catch {}
-    return false;
+      return null;
+    };
+    const found = loginField();
+    if (found) return watchForFailure(found, true);
+    const unobserve = observeAllRoots(()=>{
+      const field = loginField();
+      if (field){ stop(); watchForFailure(field, true); }
+    });
+    const timer = setTimeout(()=>{ stop(); mark("failure-check", "no login field after submit"); }, FAILURE_WATCH_MS);
+    function stop(){ unobserve(); clearTimeout(timer); }
   }
 
-  // Attach submit listeners to all forms on the page. When the user submits the form manually,
-  // this will disarm the credentials so the extension stops scanning. We use a property on
-  // the form to ensure we only attach once.
+
+  // Attach submit listeners to all forms on the page. A submit starts the failure watch; when the
+  // user submits the form manually with no step to come, this also disarms the credentials so the
+  // extension stops scanning. We use a property on the form to ensure we only attach once.
   function attachSubmitListeners() {
     try {
-      document.querySelectorAll('form').forEach(form => {
+      allRoots().flatMap(root => [...root.querySelectorAll('form')]).forEach(form => {
         if (!form.__cllaListener) {
           form.__cllaListener = true;
           form.addEventListener('submit', () => {
+            watchForFailure(form);
+            // A step is still to come (password after username, the one-time code, or the pages after
+            // signing in): stay armed.
+            if (state.stage === 'userSubmitted' || state.stage === 'passSubmitted' || state.stage === 'signedIn') return;
             // Disarm when the user submits the form manually
             state.armed = false;
-            safeSend({ type: 'clearCreds' });
-            console.log('[CS] form submitted; disarming');
+            safeSend({ type: 'clearCreds', reason: 'user-submit' });
+            Log.info('form submitted; disarming');
           }, { once: true });
         }
       });
@@ -153,7 +484,7 @@
     let anyFilled = false;
     for (const root of allRoots()){
       try {
-        const {userBest, passBest} = findBestInputs(root);
+        const {userBest, passBest, extras} = findBestInputs(root);
         let changed = false;
         if (userBest && u){
           setVal(userBest, u);
@@ -165,14 +496,15 @@
           changed = true;
           anyFilled = true;
         }
+        if (changed){
+          mark("fill", [userBest && u && "user", passBest && p && "password"].filter(Boolean).join("+"));
+          fillExtras(extras);
+        }
         if (changed && passBest){
           // Register submit listeners so that manual submission clears the armed state.
           attachSubmitListeners();
           const submit = findSubmitNear(passBest || userBest);
-          if (submit && canAutoSubmit()) {
-            submit.click();
-            recordSubmit();
-          }
+          if (submit && canAutoSubmit()) clickSubmit(submit, passBest || userBest);
           return true;
         }
       } catch {}
@@ -184,16 +516,15 @@
   function fillUser(u){
     for (const root of allRoots()){
       try {
-        const {userBest, passBest} = findBestInputs(root);
-        if (userBest && !passBest && u){
+        const {userBest, hasUser, hasPass, extras} = loginFields(root);
+        if (userBest && hasUser && !hasPass && u){
           setVal(userBest, u);
+          mark("fill", "user");
+          fillExtras(extras);
           // Register submit listeners so that manual submission clears the armed state.
           attachSubmitListeners();
           const submit = findSubmitNear(userBest);
-          if (submit && canAutoSubmit()) {
-            submit.click();
-            recordSubmit();
-          }
+          if (submit && canAutoSubmit()) clickSubmit(submit, userBest);
           return true;
         }
       } catch {}
@@ -205,16 +536,15 @@
   function fillPass(p){
     for (const root of allRoots()){
       try {
-        const { passBest } = findBestInputs(root);
+        const { passBest, extras } = findBestInputs(root);
         if (passBest && p){
           setVal(passBest, p);
+          mark("fill", "password");
+          fillExtras(extras);
           // Register submit listeners so that manual submission clears the armed state.
           attachSubmitListeners();
           const submit = findSubmitNear(passBest);
-          if (submit && canAutoSubmit()) {
-            submit.click();
-            recordSubmit();
-          }
+          if (submit && canAutoSubmit()) clickSubmit(submit, passBest);
           return true;
         }
       } catch {}
@@ -222,159 +552,604 @@
     return false;
   }
 
-  // Walk DOM across shadow roots and iframes.
-  function* walkDom(root=document){
-    const w=document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, null);
-    let n=w.currentNode;
-    while(n){ yield n; n=w.nextNode(); }
+  // Fill the one-time code (the step after the password for accounts with a TOTP secret).
+  // The code is generated by the background; the secret never reaches the page.
+  let otpRequested = false;
+  function fillOtp(){
+    if (otpRequested) return;
+    for (const root of allRoots()){
+      const input = findOtpInput(root);
+      if (!input) continue;
+      otpRequested = true;
+      mark("fill", "one-time code requested");
+      safeSend({ type:"requestOtp" }, (res)=>{
+        otpRequested = false;
+        if (!state.armed) return;
+        if (!res?.code){ Log.warn("no one-time code available"); return; }
+        setVal(input, res.code);
+        mark("fill", "one-time code");
+        attachSubmitListeners();
+        const submit = findSubmitNear(input);
+        if (submit && canAutoSubmit()) clickSubmit(submit, input);
+        signedIn("one-time code");
+      });
+      return;
+    }
+  }
+
+  function setStage(stage){
+    mark("stage", state.stage + " -> " + stage);
+    state.stage = stage;
+    safeSend({ type:"updateStage", stage });
+  }
+
+  // The password is in. Signed in, unless the account has a TOTP secret: then wait for the code
+  // field, possibly on the next page. Returns true when the login steps are finished.
+  function afterPassword(how){
+    if (state.hasOtp){
+      setStage("passSubmitted");
+      Log.info("password filled (" + how + "); waiting for one-time code field");
+      return false;
+    }
+    return signedIn(how);
+  }
+
+  // Nothing left to fill, but "Stay signed in?" and "Continue to app" pages come after the password.
+  // The background keeps the tab armed a short while so the interstitial steps handle them, across
+  // page loads too; asking again fetches its deadline, and creds without the password. A page loaded
+  // by a submit in that window is also checked for a login failure. Returns true to end the scan.
+  function signedIn(how){
+    Log.info("filled " + how);
+    state.p = "";
+    setStage("signedIn");
+    runId++;
+    requestCreds();
+    return true;
+  }
+
+  function finishLogin(){
+    if (!state.armed) return;
+    state.armed = false;
+    hideBadge();
+    safeSend({ type:"clearCreds", reason:"filled" });
+    Log.info("login finished");
+  }
+
+  // ===== Shadow roots =====
+  // The document plus every shadow root under it, nested ones included; closed roots are reached
+  // through chrome.dom.openOrClosedShadowRoot. Frames on http(s) pages get their own copy of this
+  // script; about:blank and srcdoc frames do not, so their documents are walked from the parent.
+  const OBSERVE_OPTS = { childList:true, subtree:true };
+  const shadowOf = el => el.shadowRoot || chrome.dom?.openOrClosedShadowRoot?.(el) || null;
+  // Roots seen so far, and the observers that must also watch each of them.
+  const knownRoots = new Set();
+  const rootObservers = new Set();
+
+  function collectShadowRoots(root, out){
+    const w = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, null);
+    for (let n = w.currentNode; n; n = w.nextNode()){
+      const sr = n.nodeType === 1 ? shadowOf(n) : null;
+      if (sr && !out.includes(sr)){ out.push(sr); collectShadowRoots(sr, out); }
+    }
+    return out;
+  }
+
+  // A fresh walk each time, so roots attached since the last scan (late upgrades, attachShadow
+  // after insertion) are picked up; new ones are also handed to the running observers.
+  // Same-origin documents of frames that are not injected on their own (about:blank, srcdoc),
+  // nested ones included, each followed by its shadow roots.
+  function collectFrameRoots(roots, out){
+    for (const root of roots){
+      for (const f of root.querySelectorAll("iframe,frame")){
+        let doc = null;
+        try { doc = f.contentDocument; } catch {}
+        if (!doc || /^https?:$/.test(doc.location.protocol) || out.includes(doc)) continue;
+        const inner = [doc, ...collectShadowRoots(doc, [])];
+        out.push(...inner);
+        collectFrameRoots(inner, out);
+      }
+    }
+    return out;
   }
+
+  const rootAlive = r => (r.host || r.defaultView?.frameElement)?.isConnected;
+
   function allRoots(){
-    const roots=[document];
-    for (const el of walkDom(document)){ if (el.shadowRoot) roots.push(el.shadowRoot); }
-    for (const f of document.querySelectorAll("iframe,frame")){
-      try { if (f.contentDocument) roots.push(f.contentDocument); } catch{}
+    const top = [document, ...collectShadowRoots(document, [])];
+    const roots = [...top, ...collectFrameRoots(top, [])];
+    for (const r of knownRoots) if (!rootAlive(r)) knownRoots.delete(r);
+    for (const r of roots){
+      if (r === document || knownRoots.has(r)) continue;
+      knownRoots.add(r);
+      for (const mo of rootObservers) mo.observe(r, OBSERVE_OPTS);
     }
     return roots;
   }
 
+  // MutationObserver over the document and every shadow root, including roots that show up later.
+  // Returns a function that stops it.
+  function observeAllRoots(cb){
+    const mo = new MutationObserver((records)=>{
+      // Added subtrees may bring shadow roots; register them before the callback scans.
+      if (records.some(r => r.addedNodes.length)) allRoots();
+      cb(records);
+    });
+    rootObservers.add(mo);
+    mo.observe(document.documentElement, OBSERVE_OPTS);
+    for (const r of knownRoots) if (rootAlive(r)) mo.observe(r, OBSERVE_OPTS);
+    return ()=>{ mo.disconnect(); rootObservers.delete(mo); };
+  }
+
   // Safe messaging wrapper to background.
-  function safeSend(msg, cb){ try{ chrome.runtime.sendMessage(msg, cb); } catch(e){ console.warn("[CS] sendMessage error", e); } }
+  function safeSend(msg, cb){ try{ chrome.runtime.sendMessage(msg, cb); } catch(e){ Log.warn("sendMessage error", e); } }
 
-  // Request credentials for this tab from the background and start the fill process.
+  // Request credentials for this tab from the background and start the fill process. Unless this
+  // frame already holds the login form, the background answers with a probe: look for the fields
+  // the current stage needs and claim the creds only if they are here.
   function requestCreds(){
+    // A badge from the previous run must not outlive it.
+    hideBadge();
     safeSend({ type:"requestCreds" }, (res)=>{
-      const c = res?.creds;
-      console.log("[CS] requestCreds =>", c);
-      if (!c) return;
-      state.armed = true;
-      state.u = c.u;
-      state.p = c.p;
-      state.twoStep = !!c.mode?.twoStep;
-      state.stage = c.stage || "init";
-      if (state.twoStep) runTwoStep();
-      else runNormal();
+      consent = false;
+      // This page is the result of a login submit.
+      if (res?.checkFailure){
+        state.failureTerms = res.failureTerms || null;
+        mark("failure-check", "page loaded after submit");
+        watchFailureAfterLoad();
+      }
+      if (res?.probe){
+        state.armed = false;
+        applyPageSettings(res);
+        state.twoStep = !!res.probe.twoStep;
+        // Only the names, so the extras step can tell whether this frame has those fields.
+        state.extra = Object.fromEntries((res.probe.extra || []).map(name => [name, ""]));
+        runId++;
+        runProbe(res.probe.stage);
+        return;
+      }
+      startFlow(res);
     });
   }
 
-  // Normal (single-step) login flow.
-  function runNormal(){
-    let attempts = 0;
-    const max = 400;
-    const int = setInterval(()=>{
-      attempts++;
-      if (!state.armed){
-        clearInterval(int);
-        return;
+  // Profile and failure terms come with both the probe and the creds.
+  function applyPageSettings(res){
+    // A site profile can force the flow and the auto-submit choice.
+    state.profile = res?.profile || null;
+    if (typeof state.profile?.autoSubmit === "boolean") anti.autoSubmit = state.profile.autoSubmit;
+    state.failureTerms = res?.failureTerms || null;
+  }
+
+  function startFlow(res){
+    const c = res?.creds;
+    Log.debug("requestCreds =>", c);
+    if (!c){ state.armed = false; runId++; return; }
+    state.armed = true;
+    state.u = c.u;
+    state.p = c.p;
+    state.extra = c.extra || {};
+    applyPageSettings(res);
+    const forced = state.profile?.mode;
+    state.twoStep = forced ? forced === "twoStep" : !!c.mode?.twoStep;
+    state.stage = c.stage || "init";
+    state.hasOtp = !!c.hasOtp;
+    state.finishBy = res.finishBy || 0;
+    state.suggest = res.fillMode === "suggest";
+    mark("start", (state.twoStep ? "two-step" : "single-step") + " at " + state.stage);
+    runId++;
+    runFlow();
+  }
+
+  // Does this frame show the fields the given stage needs? Asks the claiming steps of the flow.
+  // Once signed in nothing is filled any more; a frame claims when a follow-up page shows up in it.
+  function hasFieldsFor(stage){
+    if (stage === "signedIn") return currentSteps().some(step => (!step.stage || step.stage === stage) && !isFillStep(step) && detect(step.detect));
+    return LOGIN_FLOWS.claimSteps(state.profile, state.twoStep).some(step => (!step.stage || step.stage === stage) && detect(step.detect));
+  }
+
+  // Run step() on DOM changes (debounced) and on a slow fallback tick until it returns true, the
+  // run is superseded or timeoutMs passes (then onTimeout is called).
+  function startScan(step, { timeoutMs, onTimeout }){
+    const run = runId;
+    const deadline = Date.now() + timeoutMs;
+    let debounce = 0, done = false;
+    const tick = ()=>{
+      if (done) return;
+      if (run !== runId) return stop();
+      if (step()) return stop();
+      if (Date.now() >= deadline){ stop(); mark("timeout"); onTimeout?.(); }
+    };
+    const int = setInterval(tick, SCAN_FALLBACK_MS);
+    const soon = ()=>{
+      clearTimeout(debounce);
+      debounce = setTimeout(tick, SCAN_DEBOUNCE_MS);
+    };
+    const unobserve = observeAllRoots(()=>{ mark("mutation"); soon(); });
+    pokeScan = soon;
+    function stop(){ done = true; clearInterval(int); clearTimeout(debounce); unobserve(); }
+    tick();
+  }
+  // Re-runs the current scan soon; used when the page moved on without a DOM change we can see.
+  let pokeScan = ()=>{};
+
+  function onFlowTimeout(which){
+    return ()=>{
+      if (!state.armed) return;
+      Log.warn(`${which} timed out`);
+      state.armed = false;
+      hideBadge();
+      safeSend({ type:"armTimeout" });
+    };
+  }
+
+  // Probe loop for frames that do not hold the creds: claim them once the login fields show up.
+  // Another frame may hold the claim; a denied frame keeps probing in case the login moves here.
+  function runProbe(stage){
+    const run = runId;
+    let claiming = false, deniedAt = 0, claimed = false;
+    startScan(()=>{
+      if (claimed) return true;
+      if (claiming || Date.now() - deniedAt < 3000 || !hasFieldsFor(stage)) return false;
+      claiming = true;
+      // A frame with a password field may take over from one that only showed a username field.
+      safeSend({ type:"claimLoginFrame", stage, withPass: DETECTORS.passField() }, (res)=>{
+        claiming = false;
+        if (run !== runId) return;
+        mark("claim", res?.creds ? "granted at " + stage : "denied at " + stage);
+        if (res?.creds){
+          Log.info("login frame claimed");
+          claimed = true;
+          startFlow(res);
+        } else {
+          deniedAt = Date.now();
+        }
+      });
+      return false;
+    }, { timeoutMs: PROBE_TIMEOUT_MS, onTimeout: onProbeTimeout });
+  }
+
+  // The form never showed up in any frame. The top frame reports it, so the background disarms
+  // the tab unless some frame holds the login by now.
+  function onProbeTimeout(){
+    if (window !== window.top) return;
+    Log.warn("no login form found in time");
+    safeSend({ type:"probeTimeout" });
+  }
+
+  // ===== Flow engine =====
+  // Runs the steps of the login flow (see flows.js): on every scan the first step that applies at
+  // the current stage and detects acts, then the flow moves to the step's next stage.
+  function currentSteps(){
+    return LOGIN_FLOWS.forProfile(state.profile, state.twoStep);
+  }
+
+  function runFlow(){
+    const steps = currentSteps();
+    const which = state.profile?.flow?.length ? "site flow" : state.twoStep ? "2step" : "normal";
+    // Once signed in only the interstitials run, until the post-login deadline.
+    const after = state.stage === "signedIn";
+    const timing = after
+      ? { timeoutMs: Math.max(0, state.finishBy - Date.now()), onTimeout: finishLogin }
+      : { timeoutMs: state.twoStep ? TWO_STEP_TIMEOUT_MS : NORMAL_TIMEOUT_MS, onTimeout: onFlowTimeout(which) };
+    startScan(()=>{
+      if (!state.armed){ hideBadge(); return true; }
+      let offered = false;
+      for (const step of steps){
+        if (step.stage && step.stage !== state.stage) continue;
+        if (after && isFillStep(step)) continue;
+        if (!detect(step.detect)) continue;
+        // The first waiting fill step gets the badge; the interstitials after it still run.
+        if (needsConsent(step)){ if (!offered) offerFill(step); offered = true; continue; }
+        if (!act(step)) continue;
+        if (isFillStep(step)){ consent = false; hideBadge(); }
+        mark("step", step.id);
+        return transition(step);
       }
-      // If we detect a failure, disarm and cool down.
-      if (pageShowsLikelyFailure()){
-        state.armed = false;
-        onFailureCoolDown();
-        safeSend({ type: 'clearCreds' });
-        safeSend({ type: 'markOriginFailure' });
-        console.warn("[CS] Detected likely login failure → disarming and cooling down.");
-        clearInterval(int);
-        return;
+      return false;
+    }, timing);
+  }
+
+  // ===== Suggest mode =====
+  // Fill steps wait for a click on the badge next to the field or the fill-login shortcut; one
+  // consent covers one fill step. Interstitials still run on their own.
+  let consent = false;
+  let badge = null;
+  const isFillStep = step => typeof step.action === "string" && LOGIN_FLOWS.FILL_ACTIONS.includes(step.action);
+  const needsConsent = step => state.suggest && !consent && isFillStep(step);
+
+  function fillNow(){
+    if (!state.armed) return;
+    consent = true;
+    mark("consent", "fill requested by the user");
+    pokeScan();
+  }
+
+  // Field the badge sits on for this step.
+  function anchorFor(step){
+    for (const root of allRoots()){
+      if (step.action === "fillOtp"){ const otp = findOtpInput(root); if (otp) return otp; continue; }
+      const f = loginFields(root);
+      if (step.action === "fillPass" && f.hasPass) return f.passBest;
+      if (f.hasUser || f.hasPass) return f.hasUser ? f.userBest : f.passBest;
+    }
+    return null;
+  }
+
+  function offerFill(step){
+    const anchor = anchorFor(step);
+    if (!anchor) return;
+    const what = step.action === "fillOtp" ? "one-time code" : step.action === "fillPass" ? "password" : state.u;
+    showBadge(anchor, `Fill ${what}`, `Colon-Link: armed as ${state.u} for ${location.origin}. Click or press Alt+Shift+F to fill.`);
+  }
+
+  // The badge lives in a closed shadow root so page styles and scripts leave it alone.
+  function showBadge(anchor, text, title){
+    if (!badge){
+      const host = document.createElement("clla-badge");
+      host.style.cssText = "position:absolute;z-index:2147483647;margin:0;padding:0;border:0;";
+      const shadow = host.attachShadow({ mode:"closed" });
+      const btn = document.createElement("button");
+      btn.style.cssText = "font:12px system-ui,sans-serif;padding:2px 8px;border:1px solid #1a73e8;border-radius:10px;background:#e8f0fe;color:#174ea6;cursor:pointer;white-space:nowrap;";
+      btn.addEventListener("mousedown", e => e.preventDefault());
+      btn.addEventListener("click", e => { e.preventDefault(); e.stopPropagation(); fillNow(); });
+      shadow.append(btn);
+      document.documentElement.append(host);
+      badge = { host, btn, anchor:null };
+      addEventListener("scroll", placeBadge, true);
+      addEventListener("resize", placeBadge);
+    }
+    badge.anchor = anchor;
+    badge.btn.textContent = text;
+    badge.btn.title = title;
+    placeBadge();
+  }
+
+  function placeBadge(){
+    if (!badge) return;
+    const r = badge.anchor.getBoundingClientRect();
+    badge.host.style.display = r.width || r.height ? "" : "none";
+    badge.host.style.top = `${scrollY + r.top + Math.max(0, (r.height - 22) / 2)}px`;
+    badge.host.style.left = `${scrollX + r.right + 4}px`;
+  }
+
+  function hideBadge(){
+    if (!badge) return;
+    badge.host.remove();
+    removeEventListener("scroll", placeBadge, true);
+    removeEventListener("resize", placeBadge);
+    badge = null;
+  }
+
+  // Returns true when the flow is finished.
+  function transition(step){
+    if (!step.next) return false;
+    if (step.next === "afterPassword") return afterPassword(step.id);
+    if (step.next === "done") return signedIn(step.id);
+    setStage(step.next);
+    Log.info(step.id + " done; waiting at " + step.next);
+    return false;
+  }
+
+  // Login fields of one root, with clear-match flags: a best-of-whatever-exists input does not count.
+  function loginFields(root){
+    const f = findBestInputs(root);
+    const prof = state.profile;
+    f.hasUser = prof?.user ? !!f.userBest : f.userScore >= 5;
+    f.hasPass = prof?.pass ? !!f.passBest : f.passScore >= 6;
+    return f;
+  }
+  const anyLoginField = () => allRoots().some(r => { const f = loginFields(r); return f.hasUser || f.hasPass || findOtpInput(r); });
+
+  const DETECTORS = {
+    userField: () => allRoots().some(r => { const f = loginFields(r); return f.hasUser && !f.hasPass; }),
+    passField: () => allRoots().some(r => loginFields(r).hasPass),
+    otpField: () => allRoots().some(r => findOtpInput(r)),
+    // Extra fields from the link with no login field next to them; the fill steps cover those.
+    extraField: () => !anyLoginField() && allRoots().some(r => Object.keys(pendingExtras(r)).length > 0),
+    cookieBanner: () => !!findCookieButton(),
+    accountTile: () => !anyLoginField() && !!findAccountTile(),
+    staySignedIn: () => !!findStaySignedInButton(),
+    // "Continue to app" pages between steps or after signing in: no fields, one obvious button.
+    // Never before the first step.
+    continuePage: () => state.stage !== "init" && !anyLoginField() && !!findButtonByText(CONTINUE_TERMS)
+  };
+
+  function detect(d){
+    if (typeof d === "string") return !!DETECTORS[d]?.();
+    if (d.selector && !allRoots().some(r => { const el = queryIn(r, d.selector); return el && visible(el); })) return false;
+    if (d.text && !norm(document.body?.innerText).includes(norm(d.text))) return false;
+    if (d.url && !new RegExp(d.url).test(location.pathname + location.search + location.hash)) return false;
+    return true;
+  }
+
+  const ACTIONS = {
+    fillUserPass: () => fillBoth(state.u, state.p),
+    fillUser: () => fillUser(state.u),
+    fillPass: () => fillPass(state.p),
+    fillOtp: () => { fillOtp(); return false; },
+    fillExtras: () => fillExtrasStep(),
+    dismissCookieBanner: step => clickOnce(findCookieButton(), step),
+    clickAccountTile: step => clickOnce(findAccountTile(), step),
+    declineStaySignedIn: step => clickOnce(findStaySignedInButton(), step),
+    clickContinue: step => clickOnce(findButtonByText(CONTINUE_TERMS), step)
+  };
+
+  function act(step){
+    const a = step.action;
+    if (typeof a === "string") return !!ACTIONS[a]?.(step);
+    if (a.click){
+      for (const root of allRoots()){
+        const el = queryIn(root, a.click);
+        if (el && visible(el)) return clickOnce(el, step);
       }
-      if (fillBoth(state.u, state.p)){
-        state.armed=false;
-        safeSend({type:"clearCreds"});
-        console.log("[CS] filled both (normal)");
-        clearInterval(int);
-      } else if (attempts >= max){
-        console.warn("[CS] normal timed out");
-        clearInterval(int);
+      return false;
+    }
+    return clickOnce(findButtonByText([norm(a.clickText)]), step);
+  }
+
+  // ===== Interstitials =====
+  const CONSENT_SELECTORS = [
+    "#onetrust-accept-btn-handler", "#didomi-notice-agree-button", "#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll",
+    "[data-testid=uc-accept-all-button]", ".cc-allow", ".cc-dismiss", "#truste-consent-button"
+  ];
+  const CONSENT_TERMS = ["accept all","accept","agree","allow all","got it","akzeptieren","alle akzeptieren","zustimmen","accepter","aceptar"];
+  const CONTINUE_TERMS = ["continue","continue to","proceed","weiter","fortfahren","continuer","continuar"];
+  const DECLINE_TERMS = ["no","not now","don't stay signed in","nein","non","skip"];
+  const STAY_TERMS = ["stay signed in","keep me signed in","remember this device","angemeldet bleiben","rester connecté"];
+  const clicked = new WeakSet();
+
+  // Click an element at most once per document, so a stuck interstitial cannot loop.
+  function clickOnce(el, step){
+    if (!el || clicked.has(el)) return false;
+    clicked.add(el);
+    mark("interstitial", step.id + ": " + describe(el));
+    Log.info("step", step.id, "clicking", describe(el));
+    el.click();
+    return true;
+  }
+
+  const buttonText = b => norm(b.innerText || b.value || b.getAttribute("aria-label") || "").trim();
+  function buttonsIn(scope){
+    return [...scope.querySelectorAll('button, input[type=submit], input[type=button], a[role=button], [role=button]')].filter(visible);
+  }
+  // A visible button whose whole label is one of the terms (or starts with one, for "continue to ...").
+  function findButtonByText(terms, scopes = allRoots()){
+    for (const scope of scopes){
+      for (const b of buttonsIn(scope)){
+        if (clicked.has(b)) continue;
+        const t = buttonText(b);
+        if (terms.some(term => t === term || t.startsWith(term + " "))) return b;
       }
-    }, SCAN_MS);
-    const mo = new MutationObserver(()=> {
-      if (!state.armed) return;
-      // attempt fill again on DOM change
-      fillBoth(state.u, state.p);
-    });
-    mo.observe(document.documentElement, { childList:true, subtree:true });
-    setTimeout(()=> mo.disconnect(), 15000);
-  }
-
-  // Two-step login flow: fill username first, wait for password, then fill password.
-  function runTwoStep(){
-    let attempts = 0;
-    const max = 1000;
-    const int = setInterval(()=>{
-      attempts++;
-      if (!state.armed){
-        clearInterval(int);
-        return;
+    }
+    return null;
+  }
+
+  function findCookieButton(){
+    for (const root of allRoots()){
+      for (const sel of CONSENT_SELECTORS){
+        const el = root.querySelector(sel);
+        if (el && visible(el) && !clicked.has(el)) return el;
       }
-      // Detect failure
-      if (pageShowsLikelyFailure()){
-        state.armed = false;
-        onFailureCoolDown();
-        safeSend({ type: 'clearCreds' });
-        safeSend({ type: 'markOriginFailure' });
-        console.warn("[CS] Detected likely login failure (two-step) → disarming and cooling down.");
-        clearInterval(int);
-        return;
+    }
+    // Generic banners: an accept button inside something named like a cookie/consent dialog.
+    const banners = allRoots().flatMap(r => [...r.querySelectorAll('[id*=cookie i],[class*=cookie i],[id*=consent i],[class*=consent i]')]).filter(visible);
+    return findButtonByText(CONSENT_TERMS, banners);
+  }
+
+  // "Pick an account" lists: the smallest clickable element showing our username.
+  function findAccountTile(){
+    const want = norm(state.u);
+    if (!want) return null;
+    let best = null;
+    for (const root of allRoots()){
+      for (const el of root.querySelectorAll('[role=button], [role=option], [role=link], button, a, li[tabindex], div[tabindex], [data-identifier]')){
+        if (clicked.has(el) || !visible(el)) continue;
+        if (norm(el.getAttribute("data-identifier")) !== want && !norm(el.innerText).includes(want)) continue;
+        if (!best || best.contains(el)) best = el;
       }
-      if (state.stage === "init"){
-        // Try quick path: both fields present
-        if (fillBoth(state.u, state.p)){
-          state.armed=false;
-          safeSend({type:"clearCreds"});
-          console.log("[CS] filled both (2step fast-path)");
-          clearInterval(int);
-          return;
-        }
-        if (fillUser(state.u)){
-          state.stage="userSubmitted";
-          safeSend({ type:"updateStage", stage:"userSubmitted" });
-          console.log("[CS] user submitted; waiting pass");
-        }
-      } else {
-        if (fillPass(state.p)){
-          state.armed=false;
-          safeSend({type:"clearCreds"});
-          console.log("[CS] filled pass (2step)");
-          clearInterval(int);
+    }
+    return best;
+  }
+
+  // "Stay signed in?" prompts: answer no, test sessions should not stick around.
+  // The decline button must sit in the same dialog as the matched text: "Keep me signed in" is also
+  // a common checkbox label on login forms, and those never get a button clicked.
+  function findStaySignedInButton(){
+    for (const root of allRoots()){
+      const w = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null);
+      for (let n = w.nextNode(); n; n = w.nextNode()){
+        if (!STAY_TERMS.some(t => norm(n.data).includes(t))) continue;
+        let box = n.parentElement;
+        for (let i = 0; box && i < 6 && box !== document.body; i++, box = box.parentElement){
+          if (box.querySelector('input[type=password]')) break;
+          const back = box.querySelector("#idBtn_Back");
+          const btn = back && visible(back) && !clicked.has(back) ? back : findButtonByText(DECLINE_TERMS, [box]);
+          if (btn) return btn;
         }
       }
-      if (attempts >= max){
-        console.warn("[CS] 2step timed out");
-        clearInterval(int);
+    }
+    return null;
+  }
+
+  // ===== DevTools panel =====
+  // Short, readable handle for an element: tag#id, tag[name=...] or tag.type, plus shadow marker.
+  function describe(el){
+    if (!el) return null;
+    const tag = el.tagName.toLowerCase();
+    const base = el.id ? `${tag}#${el.id}` : el.name ? `${tag}[name="${el.name}"]` : el.type ? `${tag}[type="${el.type}"]` : tag;
+    return el.getRootNode() instanceof ShadowRoot ? base + " (shadow)" : base;
+  }
+
+  // Every candidate field with its score parts, and what the fill would pick right now.
+  function explain(){
+    const candidates = [], chosen = [];
+    for (const root of allRoots()){
+      const { userBest, passBest, extras } = findBestInputs(root);
+      const otp = findOtpInput(root);
+      for (const el of root.querySelectorAll("input, select")){
+        if (el.type === "hidden") continue;
+        candidates.push({
+          el: describe(el),
+          visible: visible(el),
+          user: userScoreOf(el),
+          pass: passScoreOf(el),
+          picked: [el === userBest && "user", el === passBest && "password", el === otp && "otp",
+            ...Object.entries(extras).filter(([, x]) => x === el).map(([name]) => "extra " + name)].filter(Boolean)
+        });
       }
-    }, SCAN_MS);
-    const mo = new MutationObserver(()=>{
-      if (!state.armed) return;
-      if (state.stage === "userSubmitted") fillPass(state.p);
-      else fillBoth(state.u, state.p);
-    });
-    mo.observe(document.documentElement, { childList:true, subtree:true });
-    setTimeout(()=> mo.disconnect(), 20000);
+      if (userBest || passBest || otp){
+        const submit = findSubmitNear(passBest || userBest || otp);
+        chosen.push({
+          user: describe(userBest), pass: describe(passBest), otp: describe(otp),
+          extras: Object.fromEntries(Object.entries(extras).map(([k, el]) => [k, describe(el)])),
+          submit: describe(submit),
+          submitHow: state.profile?.submit ? "profile selector " + state.profile.submit : "form submit button, else a login/next button nearby"
+        });
+      }
+    }
+    return {
+      state: { armed: state.armed, stage: state.stage, twoStep: state.twoStep, hasOtp: state.hasOtp, profile: state.profile, autoSubmit: anti.autoSubmit, extra: Object.keys(state.extra) },
+      flow: currentSteps().map(step => ({ id: step.id, stage: step.stage || "any", detected: detect(step.detect) })),
+      candidates, chosen, timeline
+    };
   }
 
-  // Capture the raw href on right-click so the background can parse an unmodified value.
-  document.addEventListener("contextmenu", (e)=>{
-    const a = e.target?.closest?.("a[href]");
-    const href = a?.getAttribute?.("href") || "";
-    // Send raw href to background; ignore errors.
-    try {
-      chrome.runtime.sendMessage({ type:"storeRawHref", href });
-    } catch {}
-  }, true);
-
-  // Salvage colon-link typed directly in the address bar: if the URL itself has colon-link pattern,
-  // we send it to background; the background will open proper tab and we stay on about:blank.
-  (function salvageAddressBar(){
-    const href = location.href;
-    const last = href.lastIndexOf(":");
-    const prev = href.lastIndexOf(":", last - 1);
-    if (last > 0 && prev > 0){
-      try {
-        chrome.runtime.sendMessage({ type:"storeRawHref", href });
-      } catch {}
-      // Do not redirect; background handles opening.
+  const HIGHLIGHT = { user: "#1a73e8", password: "#d93025", otp: "#9334e6", submit: "#188038", extra: "#f29900" };
+  let highlighted = [];
+  function highlight(on){
+    for (const [el, outline] of highlighted) el.style.outline = outline;
+    highlighted = [];
+    if (!on) return;
+    const paint = (el, color) => { if (!el) return; highlighted.push([el, el.style.outline]); el.style.outline = `3px solid ${color}`; };
+    for (const root of allRoots()){
+      const { userBest, passBest, extras } = findBestInputs(root);
+      const otp = findOtpInput(root);
+      paint(userBest, HIGHLIGHT.user);
+      paint(passBest, HIGHLIGHT.password);
+      paint(otp, HIGHLIGHT.otp);
+      Object.values(extras).forEach(el => paint(el, HIGHLIGHT.extra));
+      if (userBest || passBest || otp) paint(findSubmitNear(passBest || userBest || otp), HIGHLIGHT.submit);
+    }
+  }
+
+  // The background asks us to start over after a re-arm, disarm or mode toggle, and tells us about
+  // history.pushState navigations (single-page apps moving between login steps).
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse)=>{
+    if (msg?.type === "restart") requestCreds();
+    if (msg?.type === "navigated"){
+      mark("navigation", location.pathname + location.hash);
+      pokeScan();
+    }
+    if (msg?.type === "explain"){
+      // An unarmed frame has no profile of its own yet; use the one the background sent.
+      if (!state.profile && msg.profile) state.profile = msg.profile;
+      sendResponse(explain());
     }
-  })();
+    if (msg?.type === "highlight") highlight(!!msg.on);
+    if (msg?.type === "fillNow") fillNow();
+  });
 
-  // Start requesting credentials from background.
+  // Start requesting credentials from background. Injecting this file again into the same
+  // document just restarts it (see the guard at the top).
+  globalThis.__cllaRestart = requestCreds;
   requestCreds();
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,2 @@
+// Registers the Colon-Link panel in DevTools.
+chrome.devtools.panels.create("Colon-Link", "", "panel.html");
@@ -0,0 +1,19 @@
+// Default login-failure phrases per locale, shared by content.js and the options page.
+// The options page stores per-locale overrides in settings.failureTerms; a stored locale replaces
+// its default pack here. Terms are matched lowercase, as substrings of alert and error texts.
+globalThis.FAILURE_TERM_PACKS = {
+  en: [
+    "invalid", "incorrect", "try again", "failed", "doesn't match", "does not match", "not match",
+    "unauthorized", "access denied", "account locked", "locked out", "too many attempts",
+    "too many", "captcha", "banned", "wrong password", "not recognized"
+  ],
+  de: ["ungültig", "falsch", "fehlgeschlagen", "gesperrt", "zu viele"],
+  es: ["inválid", "incorrect", "error", "bloquead", "demasiados intentos"],
+  fr: ["invalide", "incorrect", "échec", "bloqué", "trop de tentatives"],
+  id: ["gagal", "salah", "tidak valid", "terkunci"],
+  ja: ["無効", "エラー", "失敗", "正しくありません", "ロック"],
+  ko: ["잘못된", "실패", "오류", "잠김"],
+  pt: ["inválid", "incorret", "falhou", "bloquead"],
+  ru: ["неверный", "ошибка", "неправильн", "заблокирован"],
+  zh: ["错误", "失敗", "失败", "無效", "无效", "锁定"]
+};
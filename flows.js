@@ -0,0 +1,83 @@
+// Declarative login flows, shared by content.js (injected before it) and the options page, which
+// validates per-site flows with it. A flow is an ordered list of steps. On every scan the first step
+// whose stage matches and whose detect condition holds runs its action, then moves on to next:
+//   id      name shown in logs and the DevTools timeline
+//   stage   stage the step applies in ("init", "userSubmitted", "passSubmitted", "signedIn"); omitted
+//           = any stage. "signedIn" lasts a short while after the last fill; fill steps never run in it
+//   detect  built-in detector name, or { selector, text, url }: every given condition must hold
+//           (selector: a visible match; text: page text contains it; url: regex on path+query+hash)
+//   action  built-in action name, or { click: selector } or { clickText: "Continue" }; clicks hit
+//           each element only once, so an interstitial that does not go away cannot loop
+//   next    stage after the action, "afterPassword" (signed in, or wait for the one-time code),
+//           "done" (signed in), or omitted to stay at the current stage (interstitials)
+// A site profile's flow replaces the built-in login steps; the built-in interstitials still follow
+// unless the profile sets interstitials: false.
+globalThis.LOGIN_FLOWS = (() => {
+  const DETECTORS = ["userField", "passField", "otpField", "extraField", "cookieBanner", "accountTile", "staySignedIn", "continuePage"];
+  // The fill actions need the creds; a frame claims the login when one of their steps detects.
+  const FILL_ACTIONS = ["fillUserPass", "fillUser", "fillPass", "fillOtp", "fillExtras"];
+  const ACTIONS = [...FILL_ACTIONS, "dismissCookieBanner", "clickAccountTile", "declineStaySignedIn", "clickContinue"];
+  const STAGES = ["init", "userSubmitted", "passSubmitted", "signedIn"];
+  // "signedIn" is only reached through "afterPassword" or "done".
+  const NEXT = ["init", "userSubmitted", "passSubmitted", "afterPassword", "done"];
+
+  // Pages that stall a login without being part of it.
+  const INTERSTITIALS = [
+    { id: "cookie-banner", detect: "cookieBanner", action: "dismissCookieBanner" },
+    { id: "choose-account", stage: "init", detect: "accountTile", action: "clickAccountTile" },
+    { id: "stay-signed-in", detect: "staySignedIn", action: "declineStaySignedIn" },
+    { id: "continue", detect: "continuePage", action: "clickContinue" }
+  ];
+  // fillOtp moves on to "signedIn" itself once the background has sent the code.
+  const OTP = { id: "otp", stage: "passSubmitted", detect: "otpField", action: "fillOtp" };
+  const CREDENTIALS = { id: "credentials", stage: "init", detect: "passField", action: "fillUserPass", next: "afterPassword" };
+  // Extra fields from the link (tenant=..., workspace=...) on a page of their own, before the login.
+  const EXTRAS = { id: "extras", stage: "init", detect: "extraField", action: "fillExtras" };
+
+  const BUILTIN = {
+    single: [CREDENTIALS, EXTRAS, OTP],
+    twoStep: [
+      CREDENTIALS,
+      EXTRAS,
+      { id: "username", stage: "init", detect: "userField", action: "fillUser", next: "userSubmitted" },
+      { id: "password", stage: "userSubmitted", detect: "passField", action: "fillPass", next: "afterPassword" },
+      OTP
+    ]
+  };
+
+  function forProfile(profile, twoStep) {
+    const custom = profile?.flow?.length ? profile.flow : null;
+    const steps = custom || BUILTIN[twoStep ? "twoStep" : "single"];
+    return custom && profile.interstitials === false ? steps : [...steps, ...INTERSTITIALS];
+  }
+
+  // Steps a probing frame checks before claiming: the fill steps of the flow the tab runs.
+  function claimSteps(profile, twoStep) {
+    return forProfile(profile, twoStep).filter(s => FILL_ACTIONS.includes(s.action));
+  }
+
+  // Returns "" for a usable list of steps, else what is wrong with it.
+  function validate(steps) {
+    if (!Array.isArray(steps)) return "a flow is a list of steps";
+    for (const [i, s] of steps.entries()) {
+      const at = `step ${i + 1}${s?.id ? ` (${s.id})` : ""}`;
+      if (!s || typeof s !== "object") return `${at} is not an object`;
+      if (s.stage !== undefined && !STAGES.includes(s.stage)) return `${at}: stage must be one of ${STAGES.join(", ")}`;
+      if (typeof s.detect === "string" ? !DETECTORS.includes(s.detect)
+        : !s.detect || !["selector", "text", "url"].some(k => typeof s.detect[k] === "string")) {
+        return `${at}: detect must be one of ${DETECTORS.join(", ")} or { selector, text, url }`;
+      }
+      if (s.detect.url !== undefined) {
+        try { new RegExp(s.detect.url); } catch { return `${at}: bad url regex`; }
+      }
+      if (typeof s.action === "string" ? !ACTIONS.includes(s.action)
+        : typeof s.action?.click !== "string" && typeof s.action?.clickText !== "string") {
+        return `${at}: action must be one of ${ACTIONS.join(", ")} or { click } / { clickText }`;
+      }
+      if (s.next !== undefined && !NEXT.includes(s.next)) return `${at}: next must be one of ${NEXT.join(", ")}`;
+    }
+    return "";
+  }
+
+  return { BUILTIN, INTERSTITIALS, DETECTORS, ACTIONS, FILL_ACTIONS, forProfile, claimSteps, validate };
+})();
@@ -0,0 +1,28 @@
+// Always-on content script (after colonlink.js), kept deliberately small: it only captures what the
+// background cannot get later (raw hrefs on right-click, the hovered link). The fill logic in content.js is injected
+// by the background into armed tabs only.
+(() => {
+  // Capture the raw href on right-click so the background can parse an unmodified value.
+  document.addEventListener("contextmenu", (e)=>{
+    const a = e.target?.closest?.("a[href]");
+    const href = a?.getAttribute?.("href") || "";
+    // Send raw href to background; ignore errors.
+    try {
+      chrome.runtime.sendMessage({ type:"storeRawHref", href });
+    } catch {}
+  }, true);
+
+  // Remember the last hovered link for the "open armed in incognito" shortcut.
+  let hoveredHref = "";
+  document.addEventListener("mouseover", (e)=>{
+    hoveredHref = e.target?.closest?.("a[href]")?.getAttribute?.("href") || "";
+  }, true);
+
+  // Report the selected/hovered colon-link for the incognito shortcut. Stay silent unless it parses,
+  // so another frame of the tab can answer.
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse)=>{
+    if (msg?.type !== "getColonLinkCandidate") return;
+    const raw = [(getSelection()?.toString() || "").trim(), hoveredHref].find(c => ColonLink.parse(c));
+    if (raw) sendResponse({ raw });
+  });
+})();
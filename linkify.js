@@ -0,0 +1,97 @@
+// Linkifier for sites opted in on the options page; injected by background.js; ColonLink
+// comes from the always-on content scripts.
+// Turns colon-links in page text into links that show the password masked and open armed on click.
+(() => {
+  if (globalThis.__cllaLinkified) return;
+  globalThis.__cllaLinkified = true;
+
+  const MASK = "•".repeat(6);
+  const SKIP = "a, script, style, noscript, textarea, input, select, option, [contenteditable]:not([contenteditable=false])";
+  const HINT = "Click: open armed · Shift-click: two-step · Alt-click: fresh session · Middle-click: incognito";
+  // Raw colon-link text per created link; kept out of the DOM.
+  const rawOf = new WeakMap();
+
+  // Only tokens with a real-looking host, so "note:foo:bar" or "10:30:00" stay plain text.
+  function plausible(raw, parsed){
+    if (/^https?:\/\//i.test(raw)) return true;
+    const host = new URL(parsed.url).hostname;
+    return host === "localhost" || host.includes(".") || host.startsWith("[");
+  }
+
+  function makeLink(raw, parsed){
+    const url = new URL(parsed.url);
+    const a = document.createElement("a");
+    a.href = parsed.url;
+    a.textContent = `${url.host}${url.pathname === "/" ? "" : url.pathname}:${parsed.u}:${MASK}`;
+    a.title = HINT;
+    a.className = "clla-link";
+    a.style.textDecoration = "underline dotted";
+    rawOf.set(a, raw);
+    return a;
+  }
+
+  function linkifyText(node){
+    const parts = node.data.split(/(\s+)/);
+    let changed = false;
+    const out = parts.map(part => {
+      if ((part.match(/:/g) || []).length < 2) return part;
+      const parsed = ColonLink.parse(part);
+      if (!parsed || !plausible(part, parsed)) return part;
+      changed = true;
+      return makeLink(part, parsed);
+    });
+    if (changed) node.replaceWith(...out);
+  }
+
+  function scan(root){
+    const w = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null);
+    const hits = [];
+    for (let n = w.nextNode(); n; n = w.nextNode()){
+      if (n.data.includes(":") && !n.parentElement?.closest(SKIP)) hits.push(n);
+    }
+    hits.forEach(linkifyText);
+  }
+
+  function open(e, mode){
+    const a = e.target?.closest?.("a.clla-link");
+    if (!a || !rawOf.has(a)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    chrome.runtime.sendMessage({ type:"openColonLink", raw: rawOf.get(a), ...mode }, () => void chrome.runtime.lastError);
+  }
+
+  document.addEventListener("click", e => {
+    if (e.button === 0) open(e, { twoStep: e.shiftKey, fresh: e.altKey });
+  }, true);
+  document.addEventListener("auxclick", e => {
+    if (e.button === 1) open(e, { incog: true });
+  }, true);
+
+  // Pick up text added later (lists rendered by scripts), batched.
+  let pending = [];
+  let timer = 0;
+  new MutationObserver(records => {
+    for (const r of records){
+      for (const n of r.addedNodes){
+        if (n.nodeType === Node.TEXT_NODE || n.nodeType === Node.ELEMENT_NODE) pending.push(n);
+      }
+    }
+    if (!pending.length || timer) return;
+    timer = setTimeout(() => {
+      timer = 0;
+      const batch = pending;
+      pending = [];
+      for (const n of batch){
+        if (!n.isConnected) continue;
+        if (n.nodeType === Node.TEXT_NODE){
+          if (!n.parentElement?.closest(SKIP)) linkifyText(n);
+        } else if (!n.closest(SKIP)){
+          scan(n);
+        }
+      }
+    }, 300);
+  }).observe(document.body || document.documentElement, { childList:true, subtree:true });
+
+  if (document.body) scan(document.body);
+  Log.info("linkifier active on", location.origin);
+})();
@@ -0,0 +1,95 @@
+// Leveled logger shared by the service worker (importScripts) and the injected content scripts.
+// Every argument is redacted before it reaches the console or the event buffer: fields named like
+// secrets are masked, and passwords in URL userinfo or otpauth secrets are masked inside strings.
+// The level comes from settings.logLevel ("off" | "info" | "debug" | "trace"). Content scripts
+// forward their events to the background, which keeps the last MAX_EVENTS for the debug bundle.
+globalThis.Log = globalThis.Log || (() => {
+  const LEVELS = { off: 0, info: 1, debug: 2, trace: 3 };
+  const DEFAULT_LEVEL = "info";
+  const MAX_EVENTS = 500;
+  const SECRET_KEYS = new Set(["p", "pass", "password", "passphrase", "otp", "secret", "code", "vaultKey"]);
+  const MASK = "***";
+  const isWorker = typeof ServiceWorkerGlobalScope !== "undefined" && globalThis instanceof ServiceWorkerGlobalScope;
+  const SOURCE = isWorker ? "BG" : "CS";
+
+  let level = LEVELS[DEFAULT_LEVEL];
+  chrome.storage.local.get("settings", r => setLevel(r?.settings?.logLevel));
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.settings) setLevel(changes.settings.newValue?.logLevel);
+  });
+  function setLevel(name) {
+    level = LEVELS[name] ?? LEVELS[DEFAULT_LEVEL];
+  }
+
+  function redactText(s) {
+    return s
+      .replace(/(\/\/[^\/\s:@]*:)[^@\s\/]+@/g, `$1${MASK}@`)
+      .replace(/(secret=)[^&\s]+/gi, `$1${MASK}`);
+  }
+
+  function redact(value, depth = 0) {
+    if (typeof value === "string") return redactText(value);
+    if (value instanceof Error) return redactText(value.message);
+    if (!value || typeof value !== "object" || depth > 5) return value;
+    if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = SECRET_KEYS.has(k) && v ? MASK : redact(v, depth + 1);
+    }
+    return out;
+  }
+
+  function text(args) {
+    return args.map(a => typeof a === "string" ? a : JSON.stringify(a)).join(" ");
+  }
+
+  // ===== Event buffer (background only) =====
+  let events = [];
+  let saveTimer = 0;
+  const restored = isWorker
+    ? chrome.storage.session.get("logEvents").then(r => { events = [...(r?.logEvents || []), ...events].slice(-MAX_EVENTS); })
+    : Promise.resolve();
+
+  function record(entry) {
+    events.push(entry);
+    if (events.length > MAX_EVENTS) events.splice(0, events.length - MAX_EVENTS);
+    // Mirrored into session storage so a suspended worker does not lose the trail.
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => chrome.storage.session.set({ logEvents: events }).catch(() => {}), 1000);
+  }
+
+  async function getEvents() {
+    await restored;
+    return events.slice();
+  }
+
+  async function clear() {
+    events = [];
+    await chrome.storage.session.remove("logEvents");
+  }
+
+  function emit(name, consoleMethod, args) {
+    if (level < LEVELS[name === "warn" ? "info" : name]) return;
+    const safe = args.map(a => redact(a));
+    console[consoleMethod](`[${SOURCE}]`, ...safe);
+    const entry = { t: Date.now(), src: SOURCE, level: name, msg: text(safe) };
+    if (isWorker) {
+      record(entry);
+    } else {
+      entry.url = redactText(location.origin + location.pathname);
+      try { chrome.runtime.sendMessage({ type: "logEvent", entry }, () => void chrome.runtime.lastError); } catch {}
+    }
+  }
+
+  return {
+    LEVELS: Object.keys(LEVELS),
+    redact,
+    record,
+    getEvents,
+    clear,
+    warn: (...a) => emit("warn", "warn", a),
+    info: (...a) => emit("info", "log", a),
+    debug: (...a) => emit("debug", "debug", a),
+    trace: (...a) => emit("trace", "debug", a)
+  };
+})();
@@ -0,0 +1,422 @@
+// Options page: vault management, site profiles and settings.
+
+async function loadSettings() {
+  const r = await chrome.storage.local.get("settings");
+  return r?.settings || {};
+}
+
+// Merge a patch into the stored settings; the background picks it up via storage.onChanged.
+async function saveSettings(patch) {
+  const current = await loadSettings();
+  await chrome.storage.local.set({ settings: { ...current, ...patch } });
+}
+
+// ===== Arming =====
+function bindNumberSetting(id, key) {
+  $(id).onchange = () => {
+    const n = Number($(id).value);
+    if (n > 0) saveSettings({ [key]: n });
+  };
+}
+function bindCheckboxSetting(id, key) {
+  $(id).onchange = () => saveSettings({ [key]: $(id).checked });
+}
+bindNumberSetting("arm-age", "armMaxAgeMinutes");
+bindNumberSetting("arm-loads", "armMaxLoads");
+bindCheckboxSetting("arm-nav-away", "disarmOnNavigateAway");
+bindCheckboxSetting("arm-mismatch", "disarmOnOriginMismatch");
+$("fill-mode").onchange = () => saveSettings({ fillMode: $("fill-mode").value });
+
+function formatRelated(map) {
+  return Object.entries(map).map(([o, list]) => `${o}: ${list.join(", ")}`).join("\n");
+}
+$("related-save-btn").onclick = () => {
+  const msg = text => { $("related-msg").textContent = text; };
+  const related = {};
+  for (const line of $("related-origins").value.split("\n").map(l => l.trim()).filter(Boolean)) {
+    const m = /^(\S+):\s+(.+)$/.exec(line);
+    let origins;
+    try { origins = m && [m[1], ...m[2].split(",")].map(u => new URL(u.trim()).origin); } catch {}
+    if (!origins || origins.includes("null")) return msg(`Cannot read line: ${line}`);
+    const [target, ...rest] = origins;
+    related[target] = [...new Set([...(related[target] || []), ...rest])];
+  }
+  saveSettings({ relatedOrigins: related }).then(() => msg("Saved."));
+};
+
+// ===== Cooldowns =====
+function cooldownMsg(text) { $("cooldown-msg").textContent = text || ""; }
+
+async function refreshCooldowns() {
+  let rows;
+  try { rows = await call("listCooldowns"); } catch (e) { return cooldownMsg(e.message); }
+  const body = $("cooldown-rows");
+  body.textContent = "";
+  if (!rows.length) body.append(el("tr", {}, el("td", { colSpan: 4, textContent: "No origin is cooling down." })));
+  for (const r of rows) {
+    body.append(el("tr", {},
+      el("td", { textContent: r.origin }),
+      el("td", { textContent: new Date(r.until).toLocaleString() }),
+      el("td", { textContent: r.reason }),
+      el("td", {}, el("button", { textContent: "Clear", onclick: () => call("clearCooldown", { origin: r.origin }).then(refreshCooldowns, e => cooldownMsg(e.message)) }))
+    ));
+  }
+}
+
+// 0 turns the cooldown off, so an empty field must not read as 0.
+$("cooldown-minutes").onchange = () => {
+  const v = $("cooldown-minutes").value.trim();
+  if (v && Number(v) >= 0) saveSettings({ cooldownMinutes: Number(v) });
+};
+$("cooldown-save-btn").onclick = () => {
+  const byOrigin = {};
+  for (const line of $("cooldown-origins").value.split("\n").map(l => l.trim()).filter(Boolean)) {
+    const m = /^(.+):\s*(\d+)$/.exec(line);
+    let origin;
+    try { origin = m && new URL(m[1].trim()).origin; } catch {}
+    if (!origin) return cooldownMsg(`Cannot read line: ${line}`);
+    byOrigin[origin] = Number(m[2]);
+  }
+  saveSettings({ cooldownMinutesByOrigin: byOrigin }).then(() => cooldownMsg("Saved."));
+};
+$("cooldown-clear-all-btn").onclick = () => call("clearCooldown").then(refreshCooldowns, e => cooldownMsg(e.message));
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.cooldowns) refreshCooldowns();
+});
+
+// ===== Vault =====
+function vaultMsg(text) { $("vault-msg").textContent = text || ""; }
+
+async function refreshVault() {
+  let st;
+  try { st = await call("vaultStatus"); } catch (e) { return vaultMsg(e.message); }
+  $("vault-create").classList.toggle("hidden", st.exists);
+  $("vault-locked").classList.toggle("hidden", !st.exists || st.unlocked);
+  $("vault-open").classList.toggle("hidden", !st.unlocked);
+  if (st.unlocked) renderAccounts(await call("vaultList"));
+}
+
+function renderAccounts(accounts) {
+  const body = $("vault-accounts");
+  body.textContent = "";
+  for (const a of accounts) {
+    const env = el("select", {}, ...(a.url ? [el("option", { value: "", textContent: "default" })] : []),
+      ...Object.keys(a.envs).map(name => el("option", { value: name, textContent: name })));
+    const open = (label, mode) => el("button", { textContent: label, onclick: () => call("vaultOpen", { id: a.id, env: env.value, ...mode }).catch(e => vaultMsg(e.message)) });
+    body.append(el("tr", {},
+      el("td", { textContent: a.label }),
+      el("td", { textContent: a.url }),
+      el("td", { textContent: a.u }),
+      el("td", { textContent: a.tags.join(", ") }),
+      el("td", { textContent: a.hasOtp ? "yes" : "" }),
+      el("td", {}, env),
+      el("td", {},
+        open("Open", {}),
+        open("Two-step", { twoStep: true }),
+        open("Incognito", { incog: true }),
+        open("Fresh", { fresh: true }),
+        el("button", { textContent: "Edit", onclick: () => editAccount(a) }),
+        el("button", { textContent: "Delete", onclick: () => confirm(`Delete ${a.label || a.url}?`) && call("vaultRemove", { id: a.id }).then(refreshVault, e => vaultMsg(e.message)) })
+      )
+    ));
+  }
+}
+
+function editAccount(a = {}) {
+  $("acc-id").value = a.id || "";
+  $("acc-label").value = a.label || "";
+  $("acc-url").value = a.url || "";
+  $("acc-user").value = a.u || "";
+  // Passwords and TOTP secrets never leave the background; leave blank to keep the stored ones.
+  $("acc-pass").value = "";
+  $("acc-otp").value = "";
+  $("acc-clear-otp").checked = false;
+  $("acc-tags").value = (a.tags || []).join(", ");
+  $("acc-envs").value = Object.entries(a.envs || {}).map(([name, url]) => `${name}=${url}`).join(", ");
+}
+
+// "dev=https://dev.app, staging=https://stg.app" -> { dev: "https://dev.app", staging: ... }
+function parseEnvs(text) {
+  const envs = {};
+  for (const part of text.split(",").map(p => p.trim()).filter(Boolean)) {
+    const eq = part.indexOf("=");
+    if (eq <= 0) throw new Error(`Environment must be name=URL: ${part}`);
+    envs[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
+  }
+  return envs;
+}
+
+$("vault-create-btn").onclick = () => {
+  const p = $("vault-new-pass").value;
+  if (!p || p !== $("vault-new-pass2").value) return vaultMsg("Passphrases do not match.");
+  call("vaultCreate", { passphrase: p }).then(() => { vaultMsg(""); refreshVault(); }, e => vaultMsg(e.message));
+};
+$("vault-unlock-btn").onclick = () => {
+  call("vaultUnlock", { passphrase: $("vault-pass").value }).then(() => { $("vault-pass").value = ""; vaultMsg(""); refreshVault(); }, e => vaultMsg(e.message));
+};
+$("vault-lock-btn").onclick = () => call("vaultLock").then(refreshVault);
+$("acc-save-btn").onclick = () => {
+  const account = { id: $("acc-id").value, label: $("acc-label").value.trim(), url: $("acc-url").value.trim(), u: $("acc-user").value, p: $("acc-pass").value, otp: $("acc-otp").value.trim(), clearOtp: $("acc-clear-otp").checked };
+  account.tags = $("acc-tags").value.split(",").map(t => t.trim()).filter(Boolean);
+  try { account.envs = parseEnvs($("acc-envs").value); } catch (e) { return vaultMsg(e.message); }
+  if (!account.url && !Object.keys(account.envs).length) return vaultMsg("URL or environment required.");
+  call("vaultSave", { account }).then(() => { editAccount(); vaultMsg(""); refreshVault(); }, e => vaultMsg(e.message));
+};
+$("acc-clear-btn").onclick = () => editAccount();
+
+// ===== Catalog import/export =====
+// Minimal RFC 4180: quoted fields may hold commas, newlines and doubled quotes.
+function parseCsv(text) {
+  const rows = [[]];
+  let field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && !field) quoted = true;
+    else if (ch === ",") { rows.at(-1).push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      rows.at(-1).push(field); field = "";
+      rows.push([]);
+    } else field += ch;
+  }
+  rows.at(-1).push(field);
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+const csvField = v => /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+
+function accountsToCsv(accounts) {
+  const envNames = [...new Set(accounts.flatMap(a => Object.keys(a.envs || {})))];
+  const head = ["id", "label", "username", "password", "otp", "tags", "url", ...envNames.map(n => "env:" + n)];
+  const rows = accounts.map(a => [a.id, a.label, a.u, a.p, a.otp, (a.tags || []).join(";"), a.url, ...envNames.map(n => a.envs?.[n] || "")]);
+  return [head, ...rows].map(r => r.map(v => csvField(v || "")).join(",")).join("\r\n") + "\r\n";
+}
+
+function csvToAccounts(text) {
+  const [head, ...rows] = parseCsv(text);
+  if (!head) return [];
+  const cols = head.map(h => h.trim().toLowerCase());
+  if (!cols.includes("username") || !cols.some(c => c === "url" || c.startsWith("env:"))) {
+    throw new Error("CSV needs a header row with a username column and a url or env:<name> column");
+  }
+  return rows.map(r => {
+    const get = name => (r[cols.indexOf(name)] || "").trim();
+    const envs = {};
+    cols.forEach((c, i) => { if (c.startsWith("env:") && r[i]?.trim()) envs[head[i].trim().slice(4)] = r[i].trim(); });
+    return { id: get("id"), label: get("label"), u: get("username"), p: r[cols.indexOf("password")] || "", otp: get("otp"), tags: get("tags").split(";"), url: get("url"), envs };
+  });
+}
+
+function download(name, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  el("a", { href: url, download: name }).click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportCatalog(format) {
+  if (!confirm("The export contains every password and TOTP secret in plain text. Continue?")) return;
+  const accounts = await call("vaultExport");
+  if (format === "json") download("colon-link-accounts.json", "application/json", JSON.stringify(accounts, null, 2));
+  else download("colon-link-accounts.csv", "text/csv", accountsToCsv(accounts));
+}
+$("acc-export-json-btn").onclick = () => exportCatalog("json").catch(e => vaultMsg(e.message));
+$("acc-export-csv-btn").onclick = () => exportCatalog("csv").catch(e => vaultMsg(e.message));
+$("acc-import-file").onchange = async () => {
+  const file = $("acc-import-file").files[0];
+  if (!file) return;
+  try {
+    const text = await file.text();
+    const accounts = /\.json$/i.test(file.name) || text.trimStart().startsWith("[") ? JSON.parse(text) : csvToAccounts(text);
+    const n = await call("vaultImport", { accounts });
+    vaultMsg(`Imported ${n} account${n === 1 ? "" : "s"}.`);
+    refreshVault();
+  } catch (e) {
+    vaultMsg(`Import failed: ${e.message}`);
+  }
+  $("acc-import-file").value = "";
+};
+bindNumberSetting("vault-idle", "vaultIdleLockMinutes");
+
+// ===== Site profiles =====
+async function loadProfiles() {
+  const r = await chrome.storage.local.get("profiles");
+  return r?.profiles || {};
+}
+
+async function refreshProfiles() {
+  const profiles = await loadProfiles();
+  const body = $("profile-rows");
+  body.textContent = "";
+  for (const [origin, p] of Object.entries(profiles)) {
+    const auto = typeof p.autoSubmit === "boolean" ? (p.autoSubmit ? "on" : "off") : "";
+    body.append(el("tr", {},
+      el("td", { textContent: origin }),
+      el("td", { textContent: p.user || "" }),
+      el("td", { textContent: p.pass || "" }),
+      el("td", { textContent: p.submit || "" }),
+      el("td", { textContent: formatFields(p.fields, "; ") }),
+      el("td", { textContent: p.mode || "" }),
+      el("td", { textContent: auto }),
+      el("td", { textContent: p.fill || "" }),
+      el("td", { textContent: p.inject || "" }),
+      el("td", { textContent: (p.flow?.length ? `${p.flow.length} steps` : "") + (p.interstitials === false ? " (no interstitials)" : "") }),
+      el("td", {},
+        el("button", { textContent: "Edit", onclick: () => editProfile(origin, p) }),
+        el("button", { textContent: "Delete", onclick: async () => {
+          const all = await loadProfiles();
+          delete all[origin];
+          await chrome.storage.local.set({ profiles: all });
+          refreshProfiles();
+        } })
+      )
+    ));
+  }
+}
+
+// One name=selector pair per line in the editor; selectors may contain commas.
+const formatFields = (fields, sep = "\n") => Object.entries(fields || {}).map(([name, sel]) => `${name}=${sel}`).join(sep);
+
+function editProfile(origin, p) {
+  $("prof-origin").value = origin;
+  $("prof-user").value = p.user || "";
+  $("prof-pass").value = p.pass || "";
+  $("prof-submit").value = p.submit || "";
+  $("prof-fields").value = formatFields(p.fields);
+  $("prof-mode").value = p.mode || "";
+  $("prof-auto").value = typeof p.autoSubmit === "boolean" ? (p.autoSubmit ? "on" : "off") : "";
+  $("prof-fill").value = p.fill || "";
+  $("prof-inject").value = p.inject || "";
+  $("prof-flow").value = p.flow ? JSON.stringify(p.flow, null, 1) : "";
+  $("prof-interstitials").checked = p.interstitials !== false;
+}
+
+$("prof-save-btn").onclick = async () => {
+  let origin;
+  try { origin = new URL($("prof-origin").value.trim()).origin; } catch { return ($("profile-msg").textContent = "Origin must be a URL like https://app.example.com"); }
+  const profile = {};
+  for (const [key, id] of [["user", "prof-user"], ["pass", "prof-pass"], ["submit", "prof-submit"]]) {
+    const sel = $(id).value.trim();
+    if (!sel) continue;
+    try { document.createDocumentFragment().querySelector(sel); } catch { return ($("profile-msg").textContent = `Invalid selector: ${sel}`); }
+    profile[key] = sel;
+  }
+  for (const part of $("prof-fields").value.split("\n").map(x => x.trim()).filter(Boolean)) {
+    const eq = part.indexOf("=");
+    const name = part.slice(0, eq).trim(), sel = part.slice(eq + 1).trim();
+    if (eq <= 0 || !sel) return ($("profile-msg").textContent = `Extra field must be name=selector: ${part}`);
+    try { document.createDocumentFragment().querySelector(sel); } catch { return ($("profile-msg").textContent = `Invalid selector: ${sel}`); }
+    (profile.fields ||= {})[name] = sel;
+  }
+  if ($("prof-mode").value) profile.mode = $("prof-mode").value;
+  if ($("prof-auto").value) profile.autoSubmit = $("prof-auto").value === "on";
+  if ($("prof-fill").value) profile.fill = $("prof-fill").value;
+  if ($("prof-inject").value) profile.inject = $("prof-inject").value;
+  if ($("prof-flow").value.trim()) {
+    let flow;
+    try { flow = JSON.parse($("prof-flow").value); } catch (e) { return ($("profile-msg").textContent = `Flow is not valid JSON: ${e.message}`); }
+    const problem = LOGIN_FLOWS.validate(flow);
+    if (problem) return ($("profile-msg").textContent = `Flow: ${problem}`);
+    profile.flow = flow;
+  }
+  if (!$("prof-interstitials").checked) profile.interstitials = false;
+  const all = await loadProfiles();
+  all[origin] = profile;
+  await chrome.storage.local.set({ profiles: all });
+  $("profile-msg").textContent = "";
+  editProfile("", {});
+  refreshProfiles();
+};
+
+// ===== Environment rewrites =====
+const formatRules = rules => rules.map(r => `${r.env}: ${r.from} -> ${r.to}`).join("\n");
+
+$("rewrite-save-btn").onclick = () => {
+  const rules = [];
+  for (const line of $("rewrite-rules").value.split("\n").map(l => l.trim()).filter(Boolean)) {
+    const m = /^([\w.-]+)\s*:\s*(\S+)\s*->\s*(\S+)$/.exec(line);
+    if (!m) return ($("rewrite-msg").textContent = `Cannot read rule: ${line}`);
+    const re = /^\/(.*)\/([a-z]*)$/.exec(m[2]);
+    if (re) {
+      try { new RegExp(re[1], re[2]); } catch (e) { return ($("rewrite-msg").textContent = `Bad regex in: ${line}`); }
+    }
+    rules.push({ env: m[1], from: m[2], to: m[3] });
+  }
+  const defaultEnv = $("default-env").value.trim();
+  if (defaultEnv && !rules.some(r => r.env === defaultEnv)) return ($("rewrite-msg").textContent = `No rules for ${defaultEnv}.`);
+  saveSettings({ rewriteRules: rules, defaultEnv }).then(() => {
+    $("rewrite-rules").value = formatRules(rules);
+    $("rewrite-msg").textContent = "Saved.";
+  });
+};
+
+// ===== Linkify =====
+$("linkify-save-btn").onclick = () => {
+  const origins = [];
+  for (const line of $("linkify-origins").value.split("\n").map(l => l.trim()).filter(Boolean)) {
+    try { origins.push(new URL(line).origin); } catch { return ($("linkify-msg").textContent = `Not a URL: ${line}`); }
+  }
+  saveSettings({ linkifyOrigins: [...new Set(origins)] }).then(() => {
+    $("linkify-origins").value = [...new Set(origins)].join("\n");
+    $("linkify-msg").textContent = "Saved; reload those pages.";
+  });
+};
+
+// ===== Login-failure terms =====
+function renderFailureTerms(overrides) {
+  const packs = { ...FAILURE_TERM_PACKS, ...overrides };
+  $("failure-terms").value = Object.entries(packs).map(([loc, terms]) => `${loc}: ${terms.join(", ")}`).join("\n");
+}
+
+$("failure-save-btn").onclick = () => {
+  const overrides = {};
+  for (const line of $("failure-terms").value.split("\n")) {
+    const m = /^\s*([a-z]{2,3})\s*:(.*)$/i.exec(line);
+    if (!line.trim()) continue;
+    if (!m) return ($("failure-msg").textContent = `Cannot read line: ${line}`);
+    const terms = m[2].split(",").map(t => t.trim().toLowerCase()).filter(Boolean);
+    const loc = m[1].toLowerCase();
+    // Only store locales that differ from the built-in pack.
+    if (JSON.stringify(terms) !== JSON.stringify(FAILURE_TERM_PACKS[loc] || [])) overrides[loc] = terms;
+  }
+  saveSettings({ failureTerms: overrides }).then(() => { $("failure-msg").textContent = "Saved."; });
+};
+$("failure-reset-btn").onclick = () => {
+  saveSettings({ failureTerms: {} }).then(() => { renderFailureTerms({}); $("failure-msg").textContent = "Reset."; });
+};
+
+// ===== Diagnostics =====
+$("log-level").onchange = () => saveSettings({ logLevel: $("log-level").value });
+$("log-download-btn").onclick = async () => {
+  let bundle;
+  try { bundle = await call("debugBundle"); } catch (e) { return ($("log-msg").textContent = e.message); }
+  const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" }));
+  el("a", { href: url, download: `colon-link-debug-${bundle.createdAt.replace(/[:.]/g, "-")}.json` }).click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  $("log-msg").textContent = "";
+};
+$("log-clear-btn").onclick = () => call("clearLog").then(() => { $("log-msg").textContent = "Cleared."; }, e => { $("log-msg").textContent = e.message; });
+
+// Defaults mirror DEFAULT_SETTINGS in background.js.
+loadSettings().then(s => {
+  $("arm-age").value = s.armMaxAgeMinutes ?? 10;
+  $("arm-loads").value = s.armMaxLoads ?? 5;
+  $("arm-nav-away").checked = s.disarmOnNavigateAway ?? true;
+  $("arm-mismatch").checked = s.disarmOnOriginMismatch ?? false;
+  $("fill-mode").value = s.fillMode ?? "auto";
+  $("related-origins").value = formatRelated(s.relatedOrigins || {});
+  $("vault-idle").value = s.vaultIdleLockMinutes ?? 15;
+  $("cooldown-minutes").value = s.cooldownMinutes ?? 10;
+  $("cooldown-origins").value = Object.entries(s.cooldownMinutesByOrigin || {}).map(([o, n]) => `${o}: ${n}`).join("\n");
+  $("log-level").value = s.logLevel ?? "info";
+  $("rewrite-rules").value = formatRules(s.rewriteRules || []);
+  $("default-env").value = s.defaultEnv || "";
+  $("linkify-origins").value = (s.linkifyOrigins || []).join("\n");
+  renderFailureTerms(s.failureTerms || {});
+});
+refreshCooldowns();
+refreshVault();
+refreshProfiles();
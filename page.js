@@ -0,0 +1,20 @@
+// Helpers shared by the extension pages (options, popup, confirm, DevTools panel). Load before the
+// page's own script.
+const $ = id => document.getElementById(id);
+
+// Send a page request to the background; resolves with the result or rejects with its error.
+function call(type, data = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type, ...data }, res => {
+      if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
+      if (!res?.ok) return reject(new Error(res?.error || "no response"));
+      resolve(res.result);
+    });
+  });
+}
+
+function el(tag, props = {}, ...children) {
+  const e = Object.assign(document.createElement(tag), props);
+  e.append(...children);
+  return e;
+}
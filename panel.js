@@ -0,0 +1,73 @@
+// DevTools panel: why the fill logic picks the fields it picks, and what it did, per frame.
+const tabId = chrome.devtools.inspectedWindow.tabId;
+
+const table = (head, rows) => el("table", {}, el("thead", {}, el("tr", {}, ...head.map(h => el("th", { textContent: h })))), el("tbody", {}, ...rows));
+const score = s => el("td", {}, String(s.score), el("div", { className: "parts", textContent: s.parts.map(([why, n]) => `+${n} ${why}`).join(", ") }));
+
+function renderFrame(f) {
+  const st = f.state;
+  const box = el("div", { className: "frame" },
+    el("div", {}, el("b", { textContent: `Frame ${f.frameId}` }), " ", f.url),
+    el("div", { className: "dim", textContent:
+      `${st.armed ? "armed" : "not armed"}, stage ${st.stage || "-"}, ${st.twoStep ? "two-step" : "single-step"}` +
+      `${st.hasOtp ? ", TOTP" : ""}, auto-submit ${st.autoSubmit ? "on" : "off"}` +
+      `${st.extra.length ? ", extra fields " + st.extra.join(", ") : ""}${st.profile ? ", site profile " + JSON.stringify(st.profile) : ""}` }));
+
+  box.append(el("h3", { textContent: "Flow steps" }));
+  box.append(table(["Step", "Stage", "Detects now"], f.flow.map(step =>
+    el("tr", { className: step.detected ? "picked" : "" },
+      el("td", { textContent: step.id }),
+      el("td", { textContent: step.stage }),
+      el("td", { textContent: step.detected ? "yes" : "" })))));
+
+  box.append(el("h3", { textContent: "Chosen" }));
+  if (!f.chosen.length) box.append(el("div", { className: "dim", textContent: "Nothing qualifies in this frame." }));
+  for (const c of f.chosen) {
+    const extras = Object.entries(c.extras).map(([k, v]) => `${k}: ${v}`).join(", ");
+    box.append(table(["User", "Password", "One-time code", "Extra fields", "Submit"], [el("tr", {},
+      el("td", { textContent: c.user || "-" }),
+      el("td", { textContent: c.pass || "-" }),
+      el("td", { textContent: c.otp || "-" }),
+      el("td", { textContent: extras || "-" }),
+      el("td", { textContent: c.submit || `none found (${c.submitHow})` }))]));
+  }
+
+  box.append(el("h3", { textContent: `Candidates (${f.candidates.length})` }));
+  box.append(table(["Element", "Visible", "User score", "Password score", "Picked as"], f.candidates.map(c =>
+    el("tr", { className: c.picked.length ? "picked" : "" },
+      el("td", { textContent: c.el }),
+      el("td", { textContent: c.visible ? "yes" : "no" }),
+      score(c.user),
+      score(c.pass),
+      el("td", { textContent: c.picked.join(", ") })))));
+
+  box.append(el("h3", { textContent: "Timeline" }));
+  const t0 = f.timeline[0]?.t || 0;
+  box.append(table(["+s", "Event", "Detail"], f.timeline.map(e =>
+    el("tr", {},
+      el("td", { textContent: ((e.t - t0) / 1000).toFixed(1) }),
+      el("td", { textContent: e.kind + (e.count > 1 ? ` ×${e.count}` : "") }),
+      el("td", { textContent: e.detail })))));
+  return box;
+}
+
+async function refresh() {
+  try {
+    const frames = await call("devtoolsExplain", { tabId });
+    $("msg").textContent = frames.length ? "" : "No frames to inspect (only http and https pages are supported).";
+    $("frames").replaceChildren(...frames.map(renderFrame));
+    if ($("highlight").checked) call("devtoolsHighlight", { tabId, on: true });
+  } catch (e) {
+    $("msg").textContent = e.message;
+  }
+}
+
+let timer = 0;
+$("refresh-btn").onclick = refresh;
+$("auto").onchange = () => {
+  clearInterval(timer);
+  if ($("auto").checked) timer = setInterval(refresh, 2000);
+};
+$("highlight").onchange = () => call("devtoolsHighlight", { tabId, on: $("highlight").checked }).catch(e => { $("msg").textContent = e.message; });
+chrome.devtools.network.onNavigated.addListener(() => setTimeout(refresh, 500));
+refresh();
@@ -0,0 +1,78 @@
+// Toolbar popup: armed (and recently disarmed) tabs with per-tab actions. Never shows passwords.
+
+function act(label, type, tabId) {
+  return el("button", {
+    textContent: label,
+    onclick: () => call(type, { tabId }).then(refresh, e => { $("msg").textContent = e.message; })
+  });
+}
+
+async function refresh() {
+  const rows = await call("listArmed").catch(e => { $("msg").textContent = e.message; return []; });
+  const body = $("rows");
+  body.textContent = "";
+  $("empty").hidden = rows.length > 0;
+  for (const r of rows) {
+    body.append(el("tr", { className: r.armed ? "" : "off" },
+      el("td", { className: "title", textContent: r.title, title: r.title }),
+      el("td", { textContent: r.origin }),
+      el("td", { textContent: r.u }),
+      el("td", { textContent: (r.twoStep ? "two-step" : "single") + (r.otp ? " + TOTP" : "") }),
+      el("td", { textContent: r.armed ? r.stage : `disarmed (${r.reason})` }),
+      el("td", {},
+        r.armed ? act("Disarm", "disarm", r.tabId) : act("Re-arm", "rearm", r.tabId),
+        act("Open tab", "focusTab", r.tabId)
+      )
+    ));
+  }
+}
+
+// ===== Accounts =====
+// Saved accounts, by default only those with a URL (default or environment) on the current tab's origin.
+let accounts = [];
+let tabOrigin = "";
+const originOf = url => { try { return new URL(/^https?:\/\//i.test(url) ? url : "https://" + url).origin; } catch { return ""; } };
+
+function renderAccounts() {
+  const q = $("acc-filter").value.trim().toLowerCase();
+  const shown = accounts.filter(a =>
+    (!$("acc-site").checked || [a.url, ...Object.values(a.envs)].some(u => u && originOf(u) === tabOrigin)) &&
+    (!q || [a.label, a.u, ...a.tags].some(v => (v || "").toLowerCase().includes(q))));
+  const body = $("account-rows");
+  body.textContent = "";
+  $("accounts-empty").hidden = shown.length > 0;
+  for (const a of shown) {
+    // Preselect the environment the current tab is on.
+    const envs = [...(a.url ? [["", "default", a.url]] : []), ...Object.entries(a.envs).map(([n, u]) => [n, n, u])];
+    const env = el("select", {}, ...envs.map(([value, textContent, u]) => el("option", { value, textContent, selected: originOf(u) === tabOrigin })));
+    const open = (label, mode) => el("button", {
+      textContent: label,
+      onclick: () => call("vaultOpen", { id: a.id, env: env.value, ...mode }).then(() => window.close(), e => { $("msg").textContent = e.message; })
+    });
+    body.append(el("tr", {},
+      el("td", { textContent: a.label || a.url }),
+      el("td", { textContent: a.u }),
+      el("td", { textContent: a.tags.join(", ") }),
+      el("td", {}, env),
+      el("td", {}, open("Open", {}), open("Two-step", { twoStep: true }), open("Incognito", { incog: true }), open("Fresh", { fresh: true }))
+    ));
+  }
+}
+
+async function loadAccounts() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  tabOrigin = originOf(tab?.url || "");
+  const st = await call("vaultStatus").catch(() => ({}));
+  $("accounts-locked").hidden = !st.exists || st.unlocked;
+  $("accounts-ui").hidden = !st.unlocked;
+  if (!st.unlocked) return;
+  accounts = await call("vaultList");
+  // Nothing saved for this site: show everything rather than an empty list.
+  if (!accounts.some(a => [a.url, ...Object.values(a.envs)].some(u => u && originOf(u) === tabOrigin))) $("acc-site").checked = false;
+  renderAccounts();
+}
+$("acc-filter").oninput = renderAccounts;
+$("acc-site").onchange = renderAccounts;
+
+refresh();
+loadAccounts();
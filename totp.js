@@ -0,0 +1,59 @@
+// RFC 6238 TOTP codes from otpauth:// URIs, for the service worker (loaded via importScripts).
+// Secrets stay in the background; content scripts only ever receive the current code.
+globalThis.Totp = (() => {
+  const ALGORITHMS = { SHA1: "SHA-1", SHA256: "SHA-256", SHA512: "SHA-512" };
+
+  function base32Decode(s) {
+    const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+    const clean = s.toUpperCase().replace(/[\s=-]/g, "");
+    const out = [];
+    let bits = 0, value = 0;
+    for (const ch of clean) {
+      const idx = alphabet.indexOf(ch);
+      if (idx < 0) throw new Error("invalid base32 secret");
+      value = (value << 5) | idx;
+      bits += 5;
+      if (bits >= 8) {
+        out.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(out);
+  }
+
+  // otpauth://totp/Label?secret=BASE32&digits=6&period=30&algorithm=SHA1
+  function parseUri(uri) {
+    let url;
+    try { url = new URL(uri); } catch { throw new Error("invalid otpauth URI"); }
+    if (url.protocol !== "otpauth:" || url.host.toLowerCase() !== "totp") {
+      throw new Error("only otpauth://totp URIs are supported");
+    }
+    const q = url.searchParams;
+    const secret = q.get("secret");
+    if (!secret) throw new Error("otpauth URI has no secret");
+    const algorithm = ALGORITHMS[(q.get("algorithm") || "SHA1").toUpperCase()];
+    if (!algorithm) throw new Error("unsupported TOTP algorithm");
+    return {
+      key: base32Decode(secret),
+      digits: Number(q.get("digits")) || 6,
+      period: Number(q.get("period")) || 30,
+      algorithm
+    };
+  }
+
+  async function code(uri, now = Date.now()) {
+    const { key, digits, period, algorithm } = parseUri(uri);
+    const counter = Math.floor(now / 1000 / period);
+    const msg = new ArrayBuffer(8);
+    const view = new DataView(msg);
+    view.setUint32(0, Math.floor(counter / 2 ** 32));
+    view.setUint32(4, counter >>> 0);
+    const hmacKey = await crypto.subtle.importKey("raw", key, { name: "HMAC", hash: algorithm }, false, ["sign"]);
+    const mac = new Uint8Array(await crypto.subtle.sign("HMAC", hmacKey, msg));
+    const off = mac[mac.length - 1] & 0x0f;
+    const bin = ((mac[off] & 0x7f) << 24) | (mac[off + 1] << 16) | (mac[off + 2] << 8) | mac[off + 3];
+    return String(bin % 10 ** digits).padStart(digits, "0");
+  }
+
+  return { parseUri, code };
+})();
@@ -0,0 +1,193 @@
+// Encrypted account vault for the service worker (loaded via importScripts).
+// Accounts are stored AES-GCM encrypted in chrome.storage.local under "vault"; the key is derived
+// from a master passphrase with PBKDF2. While unlocked, the raw key is mirrored into
+// chrome.storage.session (memory only, wiped on browser restart) so a suspended worker stays unlocked.
+globalThis.Vault = (() => {
+  const STORE_KEY = "vault";
+  const SESSION_KEY = "vaultKey";
+  const PBKDF2_ITERATIONS = 600000;
+
+  let key = null;        // CryptoKey while unlocked
+  let accounts = null;   // decrypted accounts while unlocked
+
+  const enc = new TextEncoder();
+  const dec = new TextDecoder();
+  // Chunked: spreading a large buffer into one fromCharCode call overflows the stack.
+  function toB64(buf) {
+    const bytes = new Uint8Array(buf);
+    let bin = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
+  }
+  const fromB64 = s => Uint8Array.from(atob(s), ch => ch.charCodeAt(0));
+
+  async function deriveKey(passphrase, salt, iterations) {
+    const base = await crypto.subtle.importKey("raw", enc.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+      base,
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async function readStore() {
+    const r = await chrome.storage.local.get(STORE_KEY);
+    return r?.[STORE_KEY] || null;
+  }
+
+  async function decrypt(store, k) {
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromB64(store.iv) }, k, fromB64(store.data));
+    return JSON.parse(dec.decode(plain));
+  }
+
+  // Re-encrypt an account list (the current one by default) with a fresh IV, keeping salt and
+  // iteration count.
+  async function persist(list = accounts) {
+    const store = await readStore();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, enc.encode(JSON.stringify(list)));
+    await chrome.storage.local.set({ [STORE_KEY]: { ...store, iv: toB64(iv), data: toB64(data) } });
+  }
+
+  async function rememberKey() {
+    const raw = await crypto.subtle.exportKey("raw", key);
+    await chrome.storage.session.set({ [SESSION_KEY]: toB64(raw) });
+  }
+
+  // Pick up a key left in session storage by a previous instance of the worker.
+  async function restore() {
+    if (key) return;
+    const store = await readStore();
+    const r = await chrome.storage.session.get(SESSION_KEY);
+    if (!store || !r?.[SESSION_KEY]) return;
+    try {
+      const k = await crypto.subtle.importKey("raw", fromB64(r[SESSION_KEY]), "AES-GCM", true, ["encrypt", "decrypt"]);
+      accounts = await decrypt(store, k);
+      key = k;
+    } catch {
+      await chrome.storage.session.remove(SESSION_KEY);
+    }
+  }
+  const restored = restore();
+
+  async function requireUnlocked() {
+    await restored;
+    if (!key) throw new Error("vault is locked");
+  }
+
+  async function status() {
+    await restored;
+    return { exists: !!(await readStore()), unlocked: !!key };
+  }
+
+  async function create(passphrase) {
+    if (!passphrase) throw new Error("passphrase required");
+    if (await readStore()) throw new Error("vault already exists");
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    await chrome.storage.local.set({ [STORE_KEY]: { v: 1, salt: toB64(salt), iterations: PBKDF2_ITERATIONS } });
+    key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    accounts = [];
+    await persist();
+    await rememberKey();
+  }
+
+  async function unlock(passphrase) {
+    const store = await readStore();
+    if (!store) throw new Error("no vault");
+    const k = await deriveKey(passphrase || "", fromB64(store.salt), store.iterations);
+    try {
+      accounts = await decrypt(store, k);
+    } catch {
+      throw new Error("wrong passphrase");
+    }
+    key = k;
+    await rememberKey();
+  }
+
+  async function lock() {
+    key = null;
+    accounts = null;
+    await chrome.storage.session.remove(SESSION_KEY);
+  }
+
+  // Account summaries without the password or TOTP secret.
+  async function list() {
+    await requireUnlocked();
+    return accounts.map(({ id, label, url, u, otp, tags, envs }) => ({ id, label, url, u, hasOtp: !!otp, tags: tags || [], envs: envs || {} }));
+  }
+
+  async function get(id) {
+    await requireUnlocked();
+    return accounts.find(a => a.id === id) || null;
+  }
+
+  // One account as stored. url is the default base URL; envs maps environment names (dev, staging,
+  // prod, ...) to other base URLs of the same account.
+  function normalize(account) {
+    const a = {
+      id: account.id || crypto.randomUUID(),
+      label: account.label || "",
+      url: account.url || "",
+      u: account.u || "",
+      p: account.p || "",
+      otp: account.otp || "",
+      tags: [...new Set((account.tags || []).map(t => String(t).trim()).filter(Boolean))],
+      envs: {}
+    };
+    for (const [name, url] of Object.entries(account.envs || {})) {
+      if (name.trim() && url) a.envs[name.trim()] = String(url).trim();
+    }
+    if (!a.url && !Object.keys(a.envs).length) throw new Error(`account ${a.label || a.u} has no URL`);
+    if (a.otp) Totp.parseUri(a.otp);
+    return a;
+  }
+
+  async function save(account) {
+    await requireUnlocked();
+    const a = normalize(account);
+    const i = accounts.findIndex(x => x.id === a.id);
+    if (i >= 0) {
+      // An empty password or TOTP URI on edit keeps the stored one; clearOtp removes the TOTP secret.
+      if (!account.p) a.p = accounts[i].p;
+      if (!account.otp && !account.clearOtp) a.otp = accounts[i].otp || "";
+      accounts[i] = a;
+    } else {
+      accounts.push(a);
+    }
+    await persist();
+    return a.id;
+  }
+
+  // Full records, passwords and TOTP secrets included, for export.
+  async function exportAll() {
+    await requireUnlocked();
+    return accounts.map(a => ({ ...a }));
+  }
+
+  // Add imported accounts; one with the id of a stored account replaces it. All or nothing.
+  async function importAll(list) {
+    await requireUnlocked();
+    if (!Array.isArray(list)) throw new Error("expected a list of accounts");
+    const incoming = list.map(normalize);
+    const merged = accounts.slice();
+    for (const a of incoming) {
+      const i = merged.findIndex(x => x.id === a.id);
+      if (i >= 0) merged[i] = a;
+      else merged.push(a);
+    }
+    // Only adopt the merged list once it is stored, so a failed write leaves both untouched.
+    await persist(merged);
+    accounts = merged;
+    return incoming.length;
+  }
+
+  async function remove(id) {
+    await requireUnlocked();
+    accounts = accounts.filter(a => a.id !== id);
+    await persist();
+  }
+
+  return { status, create, unlock, lock, list, get, save, remove, exportAll, importAll };
+})();